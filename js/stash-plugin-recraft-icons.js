@@ -3,14 +3,17 @@
 
   const api = window.PluginApi;
   const React = api.React;
-  const { Button, Modal, Spinner, Dropdown } = api.libraries.Bootstrap;
+  const { Button, Modal, Spinner, Dropdown, ProgressBar, Badge } =
+    api.libraries.Bootstrap;
   //const { faImages } = api.libraries.FontAwesomeRegular;
   const { useToast } = api.hooks;
   const {
     getPluginConfig,
     updatePluginConfig,
     runPluginTask,
-    pollLogsForMessage,
+    getJobQueue,
+    waitForJob,
+    stopJob,
   } = window.stashFunctions;
   const csLib = window.csLib;
 
@@ -19,9 +22,557 @@
     'https://external.api.recraft.ai/v1/images/generations';
   const DEFAULT_RECRAFT_SIZE = '1024';
   const DEFAULT_RECRAFT_FORMAT = 'svg';
+  const RECRAFT_FORMATS = ['svg', 'png', 'webp'];
   //const DEFAULT_RECRAFT_STYLE_ID = 'bdb513fc-cf7f-4e0f-be45-ef18bd693d03';
+  const DEFAULT_RECRAFT_MODEL = 'recraftv2';
+  const DEFAULT_ICON_PROVIDER = 'recraft';
+  const DEFAULT_BACKEND_PROMPT_TEMPLATE =
+    'flat vector icon of {prompt}, simple shapes, centered, plain background';
   const DEFAULT_RECRAFT_STYLE = 'icon';
   const DEFAULT_RECRAFT_SUB_STYLE = 'doodle_offset_fill';
+  const DEFAULT_RECRAFT_COUNT = 1;
+  const DEFAULT_RECRAFT_PROMPT_TEMPLATE = '{name}';
+  const MAX_RECRAFT_COUNT = 6;
+  const MAX_STYLE_IMAGES = 5;
+  const MAX_STYLE_LIBRARY_IMAGES = 60;
+  const STYLE_IMAGE_SIZE = 512;
+  const DEFAULT_REFERENCE_STRENGTH = 0.5;
+  const REFERENCE_IMAGE_SIZE = 1024;
+  const MAX_PALETTE_COLORS = 5;
+  const DEFAULT_PALETTE_COLOR = '#137cbd';
+  const DEFAULT_BACKGROUND_COLOR = '#ffffff';
+  const THEME_PALETTE = 'theme';
+  const DEFAULT_BUDGET_MODE = 'confirm';
+  const DEFAULT_CACHE_MAX_AGE = 30;
+  const DEFAULT_CACHE_MAX_ENTRIES = 200;
+  const DEFAULT_TAG_SELECTION = {
+    noImage: true,
+    parent: '',
+    descendants: false,
+    minScenes: '',
+    nameRegex: '',
+    favorite: false,
+  };
+  const UNDO_TIMEOUT = 15000;
+  const BULK_CONFIRM_COUNT = 100;
+  const MISSING_ICONS_TASK = 'Generate Missing Tag Icons';
+  const DEFAULT_MISSING_ICONS_LIMIT = 25;
+  const RECRAFT_SIZES = [
+    '1024x1024',
+    '1365x1024',
+    '1024x1365',
+    '1536x1024',
+    '1024x1536',
+    '1820x1024',
+    '1024x1820',
+    '1024x2048',
+    '2048x1024',
+    '1434x1024',
+    '1024x1434',
+    '1024x1280',
+    '1280x1024',
+    '1024x1707',
+    '1707x1024',
+  ];
+  const BACKEND_SIZES = [
+    '512x512',
+    '768x768',
+    '1024x1024',
+    '1152x896',
+    '896x1152',
+    '1216x832',
+    '832x1216',
+  ];
+  const OPENAI_SIZES = [
+    '1024x1024',
+    '1536x1024',
+    '1024x1536',
+    '1792x1024',
+    '1024x1792',
+  ];
+
+  /**
+   * The Recraft V2 styles, with the sub-styles each accepts.
+   */
+  const RECRAFT_V2_STYLES = {
+    icon: [
+      'broken_line',
+      'colored_outline',
+      'colored_shapes',
+      'colored_shapes_gradient',
+      'doodle_fill',
+      'doodle_offset_fill',
+      'offset_fill',
+      'outline',
+      'outline_gradient',
+      'uneven_fill',
+    ],
+    vector_illustration: [
+      'cartoon',
+      'doodle_line_art',
+      'engraving',
+      'flat_2',
+      'kawaii',
+      'line_art',
+      'line_circuit',
+      'linocut',
+      'seamless',
+    ],
+    digital_illustration: [
+      '2d_art_poster',
+      '2d_art_poster_2',
+      '3d',
+      '80s',
+      'engraving_color',
+      'glow',
+      'grain',
+      'hand_drawn',
+      'hand_drawn_outline',
+      'handmade_3d',
+      'infantile_sketch',
+      'kawaii',
+      'pixel_art',
+      'psychedelic',
+      'seamless',
+      'voxel',
+      'watercolor',
+    ],
+    realistic_image: [
+      'b_and_w',
+      'enterprise',
+      'evening_light',
+      'faded_nostalgia',
+      'forest_life',
+      'hard_flash',
+      'hdr',
+      'motion_blur',
+      'mystic_naturalism',
+      'natural_light',
+      'natural_tones',
+      'organic_calm',
+      'real_life_glow',
+      'retro_realism',
+      'retro_snapshot',
+      'studio_portrait',
+      'urban_drama',
+      'village_realism',
+      'warm_folk',
+    ],
+  };
+
+  /**
+   * The Recraft V3 styles, with the sub-styles each accepts.
+   */
+  const RECRAFT_V3_STYLES = {
+    any: [],
+    vector_illustration: [
+      'bold_stroke',
+      'chemistry',
+      'colored_stencil',
+      'contour_pop_art',
+      'cosmics',
+      'cutout',
+      'depressive',
+      'editorial',
+      'emotional_flat',
+      'engraving',
+      'infographical',
+      'line_art',
+      'line_circuit',
+      'linocut',
+      'marker_outline',
+      'mosaic',
+      'naivector',
+      'roundish_flat',
+      'seamless',
+      'segmented_colors',
+      'sharp_contrast',
+      'thin',
+      'vector_photo',
+      'vivid_shapes',
+    ],
+    logo_raster: [
+      'emblem_graffiti',
+      'emblem_pop_art',
+      'emblem_punk',
+      'emblem_stamp',
+      'emblem_vintage',
+    ],
+    digital_illustration: [
+      '2d_art_poster',
+      '2d_art_poster_2',
+      'antiquarian',
+      'bold_fantasy',
+      'child_book',
+      'child_books',
+      'cover',
+      'crosshatch',
+      'digital_engraving',
+      'engraving_color',
+      'expressionism',
+      'freehand_details',
+      'grain',
+      'grain_20',
+      'graphic_intensity',
+      'hand_drawn',
+      'hand_drawn_outline',
+      'handmade_3d',
+      'hard_comics',
+      'infantile_sketch',
+      'long_shadow',
+      'modern_folk',
+      'multicolor',
+      'neon_calm',
+      'noir',
+      'nostalgic_pastel',
+      'outline_details',
+      'pastel_gradient',
+      'pastel_sketch',
+      'pixel_art',
+      'plastic',
+      'pop_art',
+      'pop_renaissance',
+      'seamless',
+      'street_art',
+      'tablet_sketch',
+      'urban_glow',
+      'urban_sketching',
+      'vanilla_dreams',
+      'young_adult_book',
+      'young_adult_book_2',
+    ],
+    realistic_image: RECRAFT_V2_STYLES.realistic_image,
+  };
+
+  /**
+   * The Recraft models, with the styles and sizes each accepts. Only V2 has
+   * the icon style, so it is the default.
+   */
+  const RECRAFT_MODELS = {
+    recraftv2: {
+      label: 'Recraft V2',
+      styles: RECRAFT_V2_STYLES,
+      sizes: RECRAFT_SIZES,
+    },
+    recraftv3: {
+      label: 'Recraft V3',
+      styles: RECRAFT_V3_STYLES,
+      sizes: RECRAFT_SIZES,
+    },
+  };
+
+  /**
+   * The connection settings of the icon providers, with their labels.
+   */
+  const PROVIDER_SETTINGS = {
+    recraftApiKey: { label: 'Recraft API Key', secret: true },
+    recraftApiUrl: {
+      label: 'Recraft API URL',
+      placeholder: DEFAULT_RECRAFT_API_URL,
+      url: true,
+    },
+    recraftBackendUrl: { label: 'Backend URL', url: true },
+    recraftBackendApiKey: { label: 'Backend API Key', secret: true },
+    recraftBackendModel: { label: 'Backend Model' },
+    recraftBackendPromptTemplate: {
+      label: 'Backend Prompt Template',
+      placeholder: DEFAULT_BACKEND_PROMPT_TEMPLATE,
+    },
+    recraftBackendNegativePrompt: { label: 'Backend Negative Prompt' },
+    recraftComfyWorkflow: {
+      label: 'ComfyUI Workflow',
+      placeholder: 'A workflow in the API format, defaults to text-to-image',
+    },
+  };
+
+  /**
+   * The icon providers, with the settings they need and the features each
+   * supports. The placeholder provider draws initials on a colored shape
+   * locally, the others call Recraft, a self-hosted Stable Diffusion server or
+   * an OpenAI-compatible images API. Providers without their own sizes take
+   * the sizes of the Recraft model.
+   */
+  const ICON_PROVIDERS = {
+    recraft: {
+      label: 'Recraft',
+      settings: ['recraftApiKey', 'recraftApiUrl'],
+      required: ['recraftApiKey', 'recraftApiUrl'],
+      placeholders: {},
+      sizes: null,
+      credits: true,
+      models: true,
+      styles: true,
+      references: true,
+      edits: true,
+    },
+    placeholder: {
+      label: 'Offline placeholder',
+      settings: [],
+      required: [],
+      placeholders: {},
+      sizes: RECRAFT_SIZES,
+      credits: false,
+      models: false,
+      styles: false,
+      references: false,
+      edits: false,
+    },
+    automatic1111: {
+      label: 'Stable Diffusion (Automatic1111)',
+      settings: [
+        'recraftBackendUrl',
+        'recraftBackendModel',
+        'recraftBackendPromptTemplate',
+        'recraftBackendNegativePrompt',
+      ],
+      required: ['recraftBackendUrl'],
+      placeholders: {
+        recraftBackendUrl: 'http://127.0.0.1:7860',
+        recraftBackendModel: 'The checkpoint, defaults to the loaded one',
+      },
+      sizes: BACKEND_SIZES,
+      credits: false,
+      models: false,
+      styles: false,
+      references: true,
+      edits: false,
+    },
+    comfyui: {
+      label: 'ComfyUI',
+      settings: [
+        'recraftBackendUrl',
+        'recraftBackendModel',
+        'recraftBackendPromptTemplate',
+        'recraftBackendNegativePrompt',
+        'recraftComfyWorkflow',
+      ],
+      required: ['recraftBackendUrl'],
+      placeholders: {
+        recraftBackendUrl: 'http://127.0.0.1:8188',
+        recraftBackendModel: 'The checkpoint, e.g. sd_xl_base_1.0.safetensors',
+      },
+      sizes: BACKEND_SIZES,
+      credits: false,
+      models: false,
+      styles: false,
+      references: false,
+      edits: false,
+    },
+    openai: {
+      label: 'OpenAI-compatible',
+      settings: [
+        'recraftBackendUrl',
+        'recraftBackendApiKey',
+        'recraftBackendModel',
+        'recraftBackendPromptTemplate',
+      ],
+      required: ['recraftBackendUrl'],
+      placeholders: {
+        recraftBackendUrl: 'https://api.openai.com/v1',
+        recraftBackendModel: 'e.g. dall-e-3',
+      },
+      sizes: OPENAI_SIZES,
+      credits: true,
+      models: false,
+      styles: false,
+      references: false,
+      edits: false,
+    },
+  };
+
+  /**
+   * What happens when a generation would exceed the monthly image budget.
+   */
+  const BUDGET_MODES = {
+    confirm: 'Ask before going over',
+    refuse: 'Refuse to go over',
+  };
+  // Must match `progress_downloading` in recraft.py.
+  const PROGRESS_DOWNLOADING = 0.8;
+
+  /**
+   * The entities images can be generated for. Each lists the queries to look an
+   * entity up and update its image, with fields aliased to the shape of a tag:
+   * `image_path`, `description`, `aliases` and `parents`.
+   */
+  const ENTITY_TYPES = {
+    tag: {
+      path: 'tags',
+      label: 'Icon',
+      findQuery: 'findTag',
+      updateMutation: 'tagUpdate',
+      updateInput: 'TagUpdateInput',
+      imageField: 'image',
+      imagePathField: 'image_path',
+      fields: `description
+            aliases
+            parents {
+              id
+              name
+              image_path
+            }
+            children {
+              id
+              name
+            }`,
+      promptSetting: 'recraftTagIconPromptTemplate',
+      defaultPrompt: DEFAULT_RECRAFT_PROMPT_TEMPLATE,
+    },
+    studio: {
+      path: 'studios',
+      label: 'Logo',
+      findQuery: 'findStudio',
+      updateMutation: 'studioUpdate',
+      updateInput: 'StudioUpdateInput',
+      imageField: 'image',
+      imagePathField: 'image_path',
+      fields: `description: details
+            aliases
+            parent_studio {
+              id
+              name
+              image_path
+            }`,
+      promptSetting: 'recraftStudioIconPromptTemplate',
+      defaultPrompt: '{name} logo',
+    },
+    performer: {
+      path: 'performers',
+      label: 'Avatar',
+      findQuery: 'findPerformer',
+      updateMutation: 'performerUpdate',
+      updateInput: 'PerformerUpdateInput',
+      imageField: 'image',
+      imagePathField: 'image_path',
+      fields: `description: details
+            aliases: alias_list
+            gender`,
+      promptSetting: 'recraftPerformerIconPromptTemplate',
+      defaultPrompt: '{gender} avatar placeholder, simple silhouette',
+    },
+    group: {
+      path: 'groups',
+      label: 'Cover',
+      findQuery: 'findGroup',
+      updateMutation: 'groupUpdate',
+      updateInput: 'GroupUpdateInput',
+      imageField: 'front_image',
+      imagePathField: 'front_image_path',
+      fields: `description: synopsis
+            aliases
+            studio {
+              id
+              name
+              image_path
+            }`,
+      promptSetting: 'recraftGroupIconPromptTemplate',
+      defaultPrompt: '{name} cover art',
+    },
+  };
+
+  /**
+   * The Recraft operations that can be run on a generated image, with their labels.
+   */
+  const EDIT_OPERATIONS = {
+    removeBackground: 'Remove Background',
+    vectorize: 'Vectorize',
+    crispUpscale: 'Crisp Upscale',
+    creativeUpscale: 'Creative Upscale',
+  };
+
+  /**
+   * Messages for the stages of an icon generation.
+   */
+  const JOB_STAGES = {
+    queued: 'Queued...',
+    calling: 'Generating...',
+    downloading: 'Downloading...',
+    saving: 'Saving...',
+    cancelling: 'Cancelling...',
+  };
+
+  /**
+   * Error thrown when a plugin job is cancelled.
+   */
+  class JobCancelledError extends Error {
+    constructor(message = 'Job cancelled') {
+      super(message);
+      this.name = 'JobCancelledError';
+    }
+  }
+
+  /**
+   * Hook providing a container for the plugin buttons in a Stash toolbar.
+   * @param {string} [selector='.details-edit'] - The selector of the toolbar.
+   * @param {string} [className='recraft-icon-button'] - The class name of the container.
+   * @param {string} [scope='.main'] - The selector of the page container holding the toolbar.
+   * @returns {HTMLElement|null} The container, once the toolbar is rendered.
+   * @description The buttons are rendered into the container through a portal,
+   * so they stay part of the plugin's React tree and are unmounted with it. The
+   * PluginApi doesn't expose the detail or list toolbars, so the toolbar is looked
+   * up within the page container until Stash renders it. Once the container is
+   * attached, only the direct children of the toolbar's ancestors are watched: when
+   * Stash renders the toolbar anew, e.g. after leaving the edit mode, the container
+   * is attached again. The container is removed on unmount.
+   */
+  const useToolbarContainer = (
+    selector = '.details-edit',
+    className = 'recraft-icon-button',
+    scope = '.main',
+  ) => {
+    const [container] = React.useState(() => {
+      const element = document.createElement('div');
+      element.className = className;
+      return element;
+    });
+    const [attached, setAttached] = React.useState(false);
+
+    React.useEffect(() => {
+      const root = document.querySelector(scope) || document.body;
+      let observer = null;
+      let searching = false;
+
+      /**
+       * Appends the container to the toolbar, or looks for the toolbar until it is rendered.
+       * @returns {void}
+       */
+      const attach = () => {
+        if (container.isConnected) {
+          return;
+        }
+        const toolbar = root.querySelector(selector);
+        if (!toolbar) {
+          setAttached(false);
+          if (!searching) {
+            searching = true;
+            observer.disconnect();
+            observer.observe(root, { childList: true, subtree: true });
+          }
+          return;
+        }
+        toolbar.appendChild(container);
+        setAttached(true);
+        searching = false;
+        observer.disconnect();
+        for (
+          let node = toolbar.parentElement;
+          node && node !== root.parentElement;
+          node = node.parentElement
+        ) {
+          observer.observe(node, { childList: true });
+        }
+      };
+
+      observer = new MutationObserver(attach);
+      attach();
+      return () => {
+        observer.disconnect();
+        container.remove();
+      };
+    }, [selector, scope]);
+
+    return attached ? container : null;
+  };
 
   /**
    * Button component for generating icons.
@@ -32,9 +583,13 @@
    * @param {string} params.recraftTagIconStyle - The style of the generated icon.
    * @param {string} params.recraftTagIconSubStyle - The sub-style of the generated icon.
    * @param {string} params.recraftTagIconStyleId - The style ID of the generated icon.
-   * @param {string} params.tagName - The name of the tag.
-   * @param {string} params.parents - The parent tags of the tag.
-   * @param {string} params.tagId - The ID of the tag.
+   * @param {string} params.entityType - The type of the entity, a key of ENTITY_TYPES.
+   * @param {string} params.entityId - The ID of the entity.
+   * @param {string} params.entityName - The name of the entity.
+   * @param {string} params.imagePath - The URL of the current entity image.
+   * @param {string} params.parents - The parents of the entity.
+   * @param {Object} params.entity - The entity, as returned by `findEntityById`.
+   * @param {string} params.prompt - The prompt rendered from the template.
    * @returns {JSX.Element} - The rendered button component.
    */
   const ButtonComponent = params => {
@@ -42,8 +597,69 @@
     const [display, setDisplay] = React.useState(false);
     const [data, setData] = React.useState(params);
     const [custom, setCustom] = React.useState(false);
-    const [imageUrl, setImageUrl] = React.useState('');
+    const [imageUrls, setImageUrls] = React.useState([]);
+    const [selected, setSelected] = React.useState(0);
     const [loading, setLoading] = React.useState(false);
+    const [stage, setStage] = React.useState(null);
+    const [jobProgress, setJobProgress] = React.useState(0);
+    const [error, setError] = React.useState(null);
+    const [historyDisplay, setHistoryDisplay] = React.useState(false);
+    const [history, setHistory] = React.useState([]);
+    const [historyLoading, setHistoryLoading] = React.useState(false);
+    const [settingsDisplay, setSettingsDisplay] = React.useState(false);
+    const [branchDisplay, setBranchDisplay] = React.useState(false);
+    const [branchLoading, setBranchLoading] = React.useState(false);
+    const [usage, setUsage] = React.useState(null);
+    const [cachedAt, setCachedAt] = React.useState(null);
+    const [pending, setPending] = React.useState(null);
+    const [reviewing, setReviewing] = React.useState(false);
+    const jobRef = React.useRef(null);
+    const branch = useIconQueue(data, Toast, (item, tag) => {
+      if (item.id === params.entityId && tag.image_path) {
+        setLocalEntityImage(tag.image_path);
+        setData(prev => ({ ...prev, imagePath: tag.image_path }));
+      }
+    });
+
+    React.useEffect(() => {
+      if (params.entityType !== 'tag') {
+        return;
+      }
+      let active = true;
+      fetchPendingIcons().then(entries => {
+        if (active) {
+          setPending(
+            entries.find(
+              entry =>
+                entry.entityType === 'tag' &&
+                entry.entityId === `${params.entityId}`,
+            ) || null,
+          );
+        }
+      });
+      return () => {
+        active = false;
+      };
+    }, [params.entityType, params.entityId]);
+
+    /**
+     * Opens the modal with the icons generated automatically for the tag.
+     * @returns {void}
+     */
+    const enableReview = () => {
+      const urls = pending.images.map(image => getDataAssetUrl(image.path));
+      setDisplay(true);
+      setCustom(false);
+      setReviewing(true);
+      setImageUrls(urls);
+      setSelected(0);
+      setData(prev => ({
+        ...prev,
+        imageUrl: urls[0],
+        lastPrompt: pending.prompt,
+      }));
+      refreshUsage();
+    };
 
     /**
      * Callback function to enable the modal.
@@ -56,124 +672,541 @@
       setCustom(enableCustom);
       if (!enableCustom) {
         performTagFetch();
+      } else {
+        refreshUsage();
       }
     };
 
+    /**
+     * Reloads the credits and monthly usage shown in the modal.
+     * @returns {Promise<void>}
+     */
+    const refreshUsage = async () => {
+      setUsage(await fetchUsageSummary(data));
+    };
+
     /**
      * Callback function to disable the modal.
      * @returns {void}
-     * @description This function sets the display state to false, clears the image URL,
-     * and resets the loading state.
+     * @description This function sets the display state to false, clears the image URLs,
+     * and resets the loading state. A running generation is cancelled.
      */
     const disableModal = () => {
+      cancelJob();
       setDisplay(false);
-      setImageUrl('');
+      setImageUrls([]);
+      setSelected(0);
+      setCachedAt(null);
+      setReviewing(false);
       setLoading(false);
+      setError(null);
+    };
+
+    /**
+     * Tracks the state of the running generation job.
+     * @param {Object} update - The job update.
+     * @param {string} update.jobId - The ID of the job.
+     * @param {string} update.stage - The current stage.
+     * @param {number} update.progress - The job progress, from 0 to 1.
+     * @returns {void}
+     */
+    const onJobUpdate = update => {
+      jobRef.current = update.jobId;
+      setStage(update.stage);
+      setJobProgress(update.progress);
+    };
+
+    /**
+     * Cancels the running generation job, if any.
+     * @returns {Promise<void>}
+     */
+    const cancelJob = async () => {
+      const jobId = jobRef.current;
+      if (!jobId) {
+        return;
+      }
+      jobRef.current = null;
+      setStage('cancelling');
+      try {
+        await cancelPluginJob(jobId);
+      } catch (e) {
+        console.error('Failed to cancel job:', e);
+      }
     };
 
     /**
-     * Fetches the tag icon and updates the image URL in the state.
+     * Fetches the tag icon candidates and updates the image URLs in the state.
      * @param {Object} options - The options for the fetch.
-     * @param {string} options.tagName - The name of the tag.
+     * @param {string} options.tagName - The custom prompt, if any.
      * @param {boolean} options.abstractStyle - Whether to use abstract style.
-     * @param {boolean} options.lightColors - Whether to use light colors.
+     * @param {Object} [options.palette] - The colors, `{ colors, background }`. Defaults
+     * to the default palette of the settings.
+     * @param {number} options.count - The number of candidates to generate.
+     * @param {string} [options.model] - The model, if not the configured one.
+     * @param {Object} [options.reference] - The image to generate from, `{ imageUrl, strength }`.
+     * @param {boolean} [options.fresh=false] - Whether to generate even if there are cached icons.
      * @returns {Promise<void>}
+     * @description Icons generated earlier with the same prompt and options are
+     * offered first, without calling the provider.
      */
     const performTagFetch = async (options = {}) => {
       setCustom(false);
+      setReviewing(false);
       setLoading(true);
+      setError(null);
+      setStage('queued');
+      setJobProgress(0);
 
       const {
         tagName: customPrompt = null,
         abstractStyle = false,
-        lightColors = false,
+        palette = getDefaultPalette(data),
+        count = data.recraftTagIconCount,
+        reference = null,
+        model = data.recraftTagIconModel,
+        fresh = false,
       } = options;
-      const iconQuery = customPrompt || data.tagName;
+      const iconQuery = customPrompt || data.prompt || data.entityName;
+      const fetchParams = { ...data, recraftTagIconModel: model };
+
+      const cached = fresh
+        ? null
+        : await findCachedIcons(
+            fetchParams,
+            getCacheKey(
+              fetchParams,
+              iconQuery,
+              abstractStyle,
+              palette,
+              reference,
+            ),
+          );
+      if (cached) {
+        setImageUrls(cached.urls);
+        setSelected(0);
+        setCachedAt(cached.updatedAt);
+        setData(prev => ({
+          ...prev,
+          imageUrl: cached.urls[0],
+          lastPrompt: iconQuery,
+        }));
+        setStage(null);
+        setLoading(false);
+        return;
+      }
+
+      const budgetError = await checkBudget(data, parseCount(count));
+      if (budgetError) {
+        setError(budgetError);
+        setStage(null);
+        setLoading(false);
+        return;
+      }
 
       try {
-        const url = await fetchTagIcon(
-          data,
+        const urls = await fetchTagIcon(
+          fetchParams,
           iconQuery,
           abstractStyle,
-          lightColors,
+          palette,
           Toast,
+          count,
+          onJobUpdate,
+          reference,
         );
-        setImageUrl(url);
-        setData(prev => ({ ...prev, imageUrl: url }));
+        setImageUrls(urls);
+        setSelected(0);
+        setCachedAt(null);
+        setData(prev => ({
+          ...prev,
+          imageUrl: urls[0],
+          lastPrompt: iconQuery,
+        }));
       } catch (e) {
+        if (!(e instanceof JobCancelledError)) {
+          setError(e.message || `${e}`);
+        }
         console.error('Error fetching icon:', e);
       }
+      jobRef.current = null;
+      setStage(null);
       setLoading(false);
+      refreshUsage();
     };
 
     /**
      * Callback function to handle modal save action.
      * @param {Object} mData - The data from the modal.
-     * @param {string} mData.tagId - The ID of the tag.
+     * @param {string} mData.entityType - The type of the entity.
+     * @param {string} mData.entityId - The ID of the entity.
      * @param {string} mData.imageUrl - The URL of the image.
-     * @param {string} mData.tagName - The name of the tag.
+     * @param {string} mData.entityName - The name of the entity.
+     * @param {string} mData.imagePath - The URL of the current entity image.
+     * @param {string} mData.lastPrompt - The prompt the image was generated from.
      * @returns {Promise<void>}
      * @throws {Error} If the update fails.
      */
     const modalCallback = async mData => {
+      setLoading(true);
+      setStage('saving');
       try {
-        const tag = await updateTagImage(mData, Toast);
-        if (tag && tag.image_path) {
-          setLocalTagImage(tag.image_path);
+        const imageUrl = await prepareTagImage(mData, mData.imageUrl, Toast);
+        const hadImage = !isDefaultImage(mData.imagePath);
+        let previousImageData = null;
+        if (hadImage) {
+          try {
+            previousImageData = await toDataUrl(mData.imagePath);
+          } catch (e) {
+            console.warn('Failed to read the current image:', e);
+          }
+        }
+        const entity = await saveEntityImage(
+          {
+            ...mData,
+            imageUrl,
+            previousImageUrl: mData.imagePath,
+            previousImageData,
+          },
+          null,
+          getHistoryMetadata(mData, mData.lastPrompt),
+        );
+        if (entity && entity.image_path) {
+          setLocalEntityImage(entity.image_path);
+          setData(prev => ({ ...prev, imagePath: entity.image_path }));
+        }
+        const message = `Generated ${label.toLowerCase()} for: ${mData.entityName}`;
+        if (hadImage && !previousImageData) {
+          Toast.success(message);
+        } else {
+          const savedAt = Date.now();
+          Toast.success(
+            React.createElement(
+              'span',
+              null,
+              message,
+              React.createElement(
+                Button,
+                {
+                  variant: 'link',
+                  size: 'sm',
+                  className: 'p-0 ml-2 align-baseline',
+                  onClick: () => undoSave(previousImageData, savedAt),
+                },
+                'Undo',
+              ),
+            ),
+          );
+        }
+        if (pending) {
+          await dismissPendingIcons([pending.id]);
+          setPending(null);
         }
       } catch (e) {
-        console.error('Failed to update tag image:', e);
+        console.error('Failed to update image:', e);
       }
       disableModal();
     };
 
     /**
-     * Attaches a button instance to the toolbar.
-     * @param {React.Component} btnInstance - The button instance to attach.
-     * @returns {void}
-     * @description This function uses the useEffect hook to render the button instance
-     * into the toolbar once the component mounts. It also handles cleanup by unmounting
-     * the button when the component unmounts.
+     * Restores the image an icon replaced, shortly after it was saved.
+     * @param {string|null} previousImageData - The replaced image as a data URL, or
+     * null if the entity had no image.
+     * @param {number} savedAt - When the icon was saved, in milliseconds.
+     * @returns {Promise<void>}
+     * @description The restore is not archived, as both images are in the
+     * history already. After UNDO_TIMEOUT, the image has to be restored from the
+     * history instead.
      */
-    const attachButton = btnInstance => {
-      React.useEffect(() => {
-        const toolbar = document.querySelector('.details-edit');
-        if (!toolbar) {
-          console.warn('.details-edit not found!');
-          return;
+    const undoSave = async (previousImageData, savedAt) => {
+      if (Date.now() - savedAt > UNDO_TIMEOUT) {
+        Toast.error(`Too late to undo, restore it from the ${label} History`);
+        return;
+      }
+      try {
+        const entity = await updateEntityImage(
+          { ...data, imageUrl: previousImageData },
+          null,
+        );
+        if (entity) {
+          setLocalEntityImage(entity.image_path);
+          setData(prev => ({ ...prev, imagePath: entity.image_path }));
+        }
+        Toast.success(`Restored the previous image of: ${data.entityName}`);
+      } catch (e) {
+        Toast.error(
+          `Failed to restore the previous image of: ${data.entityName}`,
+        );
+        console.error('Failed to undo the image change:', e);
+      }
+    };
+
+    /**
+     * Runs an image operation on the selected candidate and adds the result as
+     * a new candidate.
+     * @param {string} operation - The operation, a key of EDIT_OPERATIONS.
+     * @returns {Promise<void>}
+     */
+    const performEdit = async operation => {
+      const url = imageUrls[selected];
+      if (!url) {
+        return;
+      }
+      setLoading(true);
+      setError(null);
+      setStage('queued');
+      setJobProgress(0);
+      try {
+        const editedUrl = await editImage(url, operation, onJobUpdate);
+        setImageUrls(prev => [...prev, editedUrl]);
+        setSelected(imageUrls.length);
+        setData(prev => ({ ...prev, imageUrl: editedUrl }));
+      } catch (e) {
+        if (!(e instanceof JobCancelledError)) {
+          setError(e.message || `${e}`);
+        }
+        console.error(`Error running ${operation}:`, e);
+      }
+      jobRef.current = null;
+      setStage(null);
+      setLoading(false);
+      refreshUsage();
+    };
+
+    /**
+     * Opens the image history of the entity.
+     * @returns {Promise<void>}
+     */
+    const enableHistory = async () => {
+      setHistoryDisplay(true);
+      setHistoryLoading(true);
+      setHistory(await fetchEntityHistory(params.entityType, params.entityId));
+      setHistoryLoading(false);
+    };
+
+    /**
+     * Restores an archived icon, archiving the icon it replaces.
+     * @param {Object} entry - The history entry to restore.
+     * @returns {Promise<void>}
+     */
+    const restoreHistoryEntry = async entry => {
+      setHistoryLoading(true);
+      try {
+        const imageUrl = await toDataUrl(getDataAssetUrl(entry.path));
+        const entity = await saveEntityImage(
+          { ...data, imageUrl, previousImageUrl: data.imagePath },
+          null,
+        );
+        if (entity && entity.image_path) {
+          setLocalEntityImage(entity.image_path);
+          setData(prev => ({ ...prev, imagePath: entity.image_path }));
         }
-        const toolbarChild = document.createElement('div');
-        toolbarChild.className = 'recraft-icon-button';
-        toolbar.appendChild(toolbarChild);
-        api.ReactDOM.render(btnInstance, toolbarChild);
-      }, []);
+        Toast.success(`Restored image for: ${data.entityName}`);
+      } catch (e) {
+        Toast.error(`Failed to restore image for: ${data.entityName}`);
+        console.error('Failed to restore image:', e);
+      }
+      setHistory(await fetchEntityHistory(params.entityType, params.entityId));
+      setHistoryLoading(false);
+    };
+
+    /**
+     * Opens the queue regenerating the tag and all its descendants.
+     * @returns {Promise<void>}
+     * @description Each child is generated from the new icon of its parent, and
+     * the tag itself from the icon of its own parent, if that has one.
+     */
+    const enableBranch = async () => {
+      setBranchDisplay(true);
+      if (branch.running) {
+        return;
+      }
+      setBranchLoading(true);
+      branch.setItems([]);
+      try {
+        const tags = await findTagBranch(params.entityId);
+        branch.setItems(
+          tags.map(({ tag, parentId }) => ({
+            id: tag.id,
+            name: tag.name,
+            entity: tag,
+            prompt: renderPromptTemplate(
+              data.recraftTagIconPromptTemplate ||
+                ENTITY_TYPES.tag.defaultPrompt,
+              tag,
+            ),
+            imageUrl: tag.image_path,
+            parentId,
+            referenceUrl: parentId
+              ? null
+              : getReferenceParent(tag)?.image_path || null,
+            status: 'pending',
+            error: null,
+          })),
+        );
+      } catch (e) {
+        Toast.error('Failed to load the tag branch');
+        console.error('Error loading tag branch:', e);
+      }
+      setBranchLoading(false);
+    };
+
+    /**
+     * Closes the branch queue, stopping it if it is running.
+     * @returns {void}
+     */
+    const disableBranch = () => {
+      branch.stopQueue();
+      setBranchDisplay(false);
+    };
+
+    /**
+     * Saves a color palette under a name, replacing a palette of that name.
+     * @param {string} name - The name of the palette.
+     * @param {Object} palette - The palette, `{ colors, background }`.
+     * @returns {Promise<void>}
+     */
+    const savePalette = async (name, palette) => {
+      const palettes = parsePalettes(data.recraftColorPalettes).filter(
+        item => item.name !== name,
+      );
+      palettes.push({ name, ...palette });
+      try {
+        applySettings(
+          await savePluginSettings({
+            recraftColorPalettes: JSON.stringify(palettes),
+          }),
+        );
+        Toast.success(`Saved palette: ${name}`);
+      } catch (e) {
+        Toast.error(`Failed to save palette: ${name}`);
+        console.error('Failed to save palette:', e);
+      }
+    };
+
+    /**
+     * Deletes a saved color palette.
+     * @param {string} name - The name of the palette.
+     * @returns {Promise<void>}
+     */
+    const deletePalette = async name => {
+      const palettes = parsePalettes(data.recraftColorPalettes).filter(
+        item => item.name !== name,
+      );
+      try {
+        applySettings(
+          await savePluginSettings({
+            recraftColorPalettes: JSON.stringify(palettes),
+          }),
+        );
+      } catch (e) {
+        Toast.error(`Failed to delete palette: ${name}`);
+        console.error('Failed to delete palette:', e);
+      }
+    };
+
+    /**
+     * Applies saved settings, re-rendering the prompt from its template.
+     * @param {Object} settings - The saved plugin settings.
+     * @returns {void}
+     */
+    const applySettings = settings => {
+      const type = ENTITY_TYPES[params.entityType];
+      setData(prev => ({
+        ...prev,
+        ...settings,
+        prompt: renderPromptTemplate(
+          settings[type.promptSetting] || type.defaultPrompt,
+          params.entity,
+        ),
+      }));
     };
 
+    const label = ENTITY_TYPES[params.entityType].label;
     const buttonInstance = React.createElement(DropdownDetailButton, {
+      label: `Generate ${label}`,
       options: [
-        { onClickHandler: _e => enableModal(false), label: 'Generate Icon' },
+        {
+          onClickHandler: _e => enableModal(false),
+          label: `Generate ${label}`,
+        },
         {
           onClickHandler: _e => enableModal(true),
-          label: 'Generate Custom Icon',
+          label: `Generate Custom ${label}`,
         },
+        ...(pending
+          ? [
+              {
+                onClickHandler: _e => enableReview(),
+                label: `Review Generated ${label}`,
+              },
+            ]
+          : []),
+        { onClickHandler: _e => enableHistory(), label: `${label} History` },
+        ...(params.entityType === 'tag'
+          ? [
+              {
+                onClickHandler: _e => enableBranch(),
+                label: 'Regenerate Branch',
+              },
+            ]
+          : []),
+        { onClickHandler: _e => setSettingsDisplay(true), label: 'Settings' },
       ],
     });
 
-    attachButton(buttonInstance);
+    const toolbar = useToolbarContainer();
 
     return React.createElement(
       React.Fragment,
       null,
+      toolbar && api.ReactDOM.createPortal(buttonInstance, toolbar),
       React.createElement(CustomModal, {
         displayState: display,
         onCloseHandler: disableModal,
         onSaveHandler: modalCallback,
         onChangeHandler: performTagFetch,
         onRefreshHandler: performTagFetch,
+        onEditHandler: performEdit,
+        onSavePaletteHandler: savePalette,
+        onDeletePaletteHandler: deletePalette,
         dataState: data,
+        onCancelHandler: cancelJob,
         loadingState: loading,
-        imageUrlState: imageUrl,
+        stageState: stage,
+        progressState: jobProgress,
+        errorState: error,
+        imageUrlsState: imageUrls,
+        selectedState: selected,
+        onSelectHandler: setSelected,
         customState: custom,
+        usageState: usage,
+        cachedState: cachedAt,
+        reviewState: reviewing,
+      }),
+      React.createElement(HistoryModal, {
+        displayState: historyDisplay,
+        onCloseHandler: () => setHistoryDisplay(false),
+        onRestoreHandler: restoreHistoryEntry,
+        entriesState: history,
+        loadingState: historyLoading,
+        entityName: data.entityName,
+        label,
+      }),
+      React.createElement(BulkModal, {
+        displayState: branchDisplay,
+        onCloseHandler: disableBranch,
+        onRunHandler: branch.runQueue,
+        onStopHandler: branch.stopQueue,
+        itemsState: branch.items,
+        loadingState: branchLoading,
+        runningState: branch.running,
+        title: `Regenerate Branch: ${data.entityName}`,
+      }),
+      React.createElement(SettingsModal, {
+        displayState: settingsDisplay,
+        onCloseHandler: () => setSettingsDisplay(false),
+        onSaveHandler: applySettings,
+        settingsState: data,
       }),
     );
   };
@@ -206,12 +1239,13 @@
   /**
    * Dropdown button component for generating icons.
    * @param {Object} props - The component props.
+   * @param {string} [props.label='Generate Icon'] - The label of the toggle.
    * @param {Array} props.options - Array of options for the dropdown menu.
    * @param {function} props.options[].onClickHandler - Function to handle option click.
    * @param {string} props.options[].label - Label for the dropdown option.
    * @returns {JSX.Element} - The rendered compound button component.
    */
-  const DropdownDetailButton = ({ options = [] }) => {
+  const DropdownDetailButton = ({ label = 'Generate Icon', options = [] }) => {
     return React.createElement(
       Dropdown,
       { className: 'generate-icon-dropdown' },
@@ -222,7 +1256,7 @@
           id: 'generate-icon-dropdown-toggle',
           className: 'btn btn-secondary',
         },
-        'Generate Icon',
+        label,
         '...',
       ),
       React.createElement(
@@ -244,75 +1278,341 @@
   };
 
   /**
-   * Custom modal component for displaying tag image and a spinner.
+   * Palette editor component for picking the colors of a generation.
    * @param {Object} props - The component props.
-   * @param {boolean} props.displayState - State to control modal visibility.
-   * @param {function} props.onCloseHandler - Function to handle modal close.
-   * @param {function} props.onSaveHandler - Function to handle save action.
-   * @param {Object} props.dataState - State to hold data.
-   * @param {function} props.onChangeHandler - Function to handle data change.
-   * @returns {JSX.Element} - The rendered modal component.
+   * @param {Object} props.paletteState - The palette, `{ colors, background }`.
+   * @param {function} props.onChangeHandler - Receives the changed palette.
+   * @param {Array<Object>} props.palettesState - The saved palettes.
+   * @param {function} props.onSaveHandler - Saves the palette under a name.
+   * @param {function} props.onDeleteHandler - Deletes a saved palette by name.
+   * @returns {JSX.Element} - The rendered palette editor component.
    */
-  const CustomModal = ({
-    displayState,
-    onCloseHandler,
-    onSaveHandler,
+  const PaletteEditor = ({
+    paletteState,
     onChangeHandler,
-    onRefreshHandler,
-    dataState,
-    loadingState,
-    imageUrlState,
-    customState,
+    palettesState,
+    onSaveHandler,
+    onDeleteHandler,
   }) => {
-    // Component internal states
-    const [prompt, setPrompt] = React.useState(dataState.tagName);
-    const [lightColors, setLightColors] = React.useState(false);
-    const [abstractStyle, setAbstractStyle] = React.useState(false);
+    const [name, setName] = React.useState('');
+    const { colors, background } = paletteState;
+    const saved = palettesState.some(palette => palette.name === name);
 
     /**
-     * Custom prompt component for entering a custom prompt.
-     * @param {string} tagName - The name of the tag.
-     * @returns {JSX.Element} - The rendered custom prompt component.
+     * Updates the palette.
+     * @param {Object} changes - The properties to update.
+     * @returns {void}
      */
-    const customPrompt = () => {
-      return React.createElement(
-        'div',
-        { className: 'mb-3' },
-        React.createElement(
-          'div',
-          { classNAme: 'row' },
-          React.createElement(
-            'div',
-            { className: 'input-group col-md-12' },
-            React.createElement('input', {
-              id: 'custom-icon-prompt',
-              placeholder: 'Enter custom prompt',
-              'aria-label': 'Custom prompt',
-              className: 'text-input form-control mr-3',
-              type: 'text',
-              value: prompt,
-              onChange: e => {
-                setPrompt(e.target.value);
-              },
+    const update = changes => onChangeHandler({ ...paletteState, ...changes });
+
+    /**
+     * Loads a saved palette, or the colors of the Stash theme.
+     * @param {string} value - The name of the palette, `theme` for the Stash theme.
+     * @returns {void}
+     */
+    const loadPalette = value => {
+      if (value === THEME_PALETTE) {
+        onChangeHandler(getThemePalette());
+        setName('');
+        return;
+      }
+      const palette = palettesState.find(item => item.name === value);
+      if (palette) {
+        onChangeHandler({
+          colors: palette.colors || [],
+          background: palette.background || '',
+        });
+      }
+      setName(value);
+    };
+
+    /**
+     * Renders a color swatch with a button to remove it.
+     * @param {string} color - The color.
+     * @param {number} index - The index of the color.
+     * @returns {JSX.Element} - The rendered swatch.
+     */
+    const swatch = (color, index) =>
+      React.createElement(
+        'div',
+        { key: index, className: 'd-flex align-items-center mr-2' },
+        React.createElement('input', {
+          type: 'color',
+          value: color,
+          title: color,
+          style: { width: '2rem', height: '2rem', padding: 0, border: 0 },
+          onChange: e =>
+            update({
+              colors: colors.map((item, i) =>
+                i === index ? e.target.value : item,
+              ),
             }),
+        }),
+        React.createElement(
+          Button,
+          {
+            variant: 'link',
+            size: 'sm',
+            className: 'p-0 ml-1 text-white',
+            title: 'Remove color',
+            onClick: () =>
+              update({ colors: colors.filter((_item, i) => i !== index) }),
+          },
+          '×',
+        ),
+      );
+
+    return React.createElement(
+      'div',
+      { className: 'col-md-12 pt-2' },
+      React.createElement(
+        'div',
+        { className: 'd-flex align-items-center flex-wrap' },
+        React.createElement('span', { className: 'mr-2' }, 'Colors'),
+        colors.map(swatch),
+        colors.length < MAX_PALETTE_COLORS &&
+          React.createElement(
+            Button,
+            {
+              variant: 'secondary',
+              size: 'sm',
+              className: 'mr-3',
+              title: 'Add color',
+              onClick: () =>
+                update({ colors: [...colors, DEFAULT_PALETTE_COLOR] }),
+            },
+            '+',
+          ),
+        React.createElement(
+          'div',
+          { className: 'custom-control custom-switch mr-2 ml-auto' },
+          React.createElement('input', {
+            className: 'custom-control-input',
+            type: 'checkbox',
+            role: 'switch',
+            id: 'use-background-color',
+            checked: !!background,
+            onChange: e =>
+              update({
+                background: e.target.checked ? DEFAULT_BACKGROUND_COLOR : '',
+              }),
+          }),
+          React.createElement(
+            'label',
+            { className: 'custom-control-label', for: 'use-background-color' },
+            'Background',
+          ),
+        ),
+        background &&
+          React.createElement('input', {
+            type: 'color',
+            value: background,
+            title: background,
+            style: { width: '2rem', height: '2rem', padding: 0, border: 0 },
+            onChange: e => update({ background: e.target.value }),
+          }),
+      ),
+      React.createElement(
+        'div',
+        { className: 'input-group input-group-sm pt-2' },
+        React.createElement(
+          'select',
+          {
+            className: 'form-control',
+            'aria-label': 'Palette',
+            value: saved ? name : '',
+            onChange: e => loadPalette(e.target.value),
+          },
+          React.createElement('option', { value: '' }, 'Load palette...'),
+          React.createElement(
+            'option',
+            { value: THEME_PALETTE },
+            'Stash theme',
+          ),
+          palettesState.map(palette =>
             React.createElement(
-              'button',
-              {
-                className: 'btn btn-primary',
-                id: 'update-icon-prompt',
-                onClick: _e =>
-                  onChangeHandler({
-                    tagName: prompt,
-                    abstractStyle: abstractStyle,
-                    lightColors: lightColors,
-                  }),
-              },
-              'Submit',
+              'option',
+              { key: palette.name, value: palette.name },
+              palette.name,
             ),
           ),
+        ),
+        React.createElement('input', {
+          className: 'text-input form-control',
+          type: 'text',
+          placeholder: 'Palette name',
+          value: name,
+          onChange: e => setName(e.target.value),
+        }),
+        React.createElement(
+          'div',
+          { className: 'input-group-append' },
+          React.createElement(
+            Button,
+            {
+              variant: 'secondary',
+              disabled: !name.trim() || (colors.length === 0 && !background),
+              onClick: () => onSaveHandler(name.trim(), paletteState),
+            },
+            'Save',
+          ),
           React.createElement(
+            Button,
+            {
+              variant: 'danger',
+              disabled: !saved,
+              onClick: () => {
+                onDeleteHandler(name);
+                setName('');
+              },
+            },
+            'Delete',
+          ),
+        ),
+      ),
+    );
+  };
+
+  /**
+   * Usage component showing the remaining credits and the monthly image usage.
+   * @param {Object} props - The component props.
+   * @param {Object} [props.usageState] - The usage, as returned by `fetchUsageSummary`.
+   * @param {string} [props.className=''] - Additional classes.
+   * @returns {JSX.Element|null} - The rendered usage, if there is any to show.
+   */
+  const UsageSummary = ({ usageState, className = '' }) => {
+    if (!usageState) {
+      return null;
+    }
+    const { credits, used, budget } = usageState;
+    const parts = [];
+    if (credits !== null) {
+      parts.push(`${credits.toLocaleString()} credits left`);
+    }
+    parts.push(
+      budget === null
+        ? `${used} images this month`
+        : `${used} of ${budget} images this month`,
+    );
+    return React.createElement(
+      'small',
+      {
+        className: `${
+          budget !== null && used >= budget ? 'text-danger' : 'text-muted'
+        } ${className}`,
+      },
+      parts.join(' · '),
+    );
+  };
+
+  /**
+   * Custom modal component for displaying tag image and a spinner.
+   * @param {Object} props - The component props.
+   * @param {boolean} props.displayState - State to control modal visibility.
+   * @param {function} props.onCloseHandler - Function to handle modal close.
+   * @param {function} props.onSaveHandler - Function to handle save action.
+   * @param {Object} props.dataState - State to hold data.
+   * @param {function} props.onChangeHandler - Function to handle data change.
+   * @param {Array<string>} props.imageUrlsState - The generated candidate URLs.
+   * @param {number} props.selectedState - The index of the selected candidate.
+   * @param {function} props.onSelectHandler - Function to select a candidate.
+   * @param {function} props.onCancelHandler - Function to cancel the generation.
+   * @param {string} props.stageState - The current generation stage.
+   * @param {number} props.progressState - The job progress, from 0 to 1.
+   * @param {string} props.errorState - The last generation error.
+   * @param {function} props.onEditHandler - Function to run an image operation on the selected candidate.
+   * @param {function} props.onSavePaletteHandler - Function to save a color palette.
+   * @param {function} props.onDeletePaletteHandler - Function to delete a color palette.
+   * @param {Object} [props.usageState] - The credits and monthly usage, as returned by `fetchUsageSummary`.
+   * @param {string} [props.cachedState] - When the candidates were cached, if they come from the cache.
+   * @param {boolean} [props.reviewState] - Whether the candidates were generated automatically and wait for review.
+   * @returns {JSX.Element} - The rendered modal component.
+   */
+  const CustomModal = ({
+    displayState,
+    onCloseHandler,
+    onSaveHandler,
+    onChangeHandler,
+    onRefreshHandler,
+    onEditHandler,
+    onSavePaletteHandler,
+    onDeletePaletteHandler,
+    onCancelHandler,
+    dataState,
+    loadingState,
+    stageState,
+    progressState,
+    errorState,
+    imageUrlsState,
+    selectedState,
+    onSelectHandler,
+    customState,
+    usageState,
+    cachedState,
+    reviewState,
+  }) => {
+    // Component internal states
+    const [prompt, setPrompt] = React.useState(
+      dataState.prompt || dataState.entityName,
+    );
+    const label = ENTITY_TYPES[dataState.entityType].label;
+    const [palette, setPalette] = React.useState(() =>
+      getDefaultPalette(dataState),
+    );
+    const [abstractStyle, setAbstractStyle] = React.useState(false);
+    const [compareMode, setCompareMode] = React.useState('side');
+    const [comparePosition, setComparePosition] = React.useState(50);
+    const [count, setCount] = React.useState(
+      parseCount(dataState.recraftTagIconCount),
+    );
+    const [model, setModel] = React.useState(
+      dataState.recraftTagIconModel || DEFAULT_RECRAFT_MODEL,
+    );
+    // Only the models that accept the configured style can be picked
+    const models = Object.keys(RECRAFT_MODELS).filter(
+      key =>
+        dataState.recraftTagIconStyleId ||
+        !dataState.recraftTagIconStyle ||
+        supportsStyle(
+          key,
+          dataState.recraftTagIconStyle,
+          dataState.recraftTagIconSubStyle,
+        ),
+    );
+    const provider = getIconProvider(dataState);
+    const referenceParent = provider.references
+      ? getReferenceParent(dataState.entity)
+      : null;
+    const [matchParent, setMatchParent] = React.useState(false);
+    const [strength, setStrength] = React.useState(
+      parseStrength(dataState.recraftTagIconReferenceStrength),
+    );
+
+    /**
+     * Returns the generation options chosen in the custom prompt.
+     * @returns {Object} The options for `performTagFetch`.
+     */
+    const fetchOptions = () => ({
+      tagName: prompt,
+      abstractStyle: abstractStyle,
+      palette: palette,
+      count: count,
+      model: model,
+      reference:
+        matchParent && referenceParent
+          ? { imageUrl: referenceParent.image_path, strength }
+          : null,
+    });
+
+    /**
+     * Parent icon component for generating from the icon of the parent.
+     * @returns {JSX.Element|null} - The rendered component, if the parent has an icon.
+     */
+    const parentReference = () =>
+      referenceParent
+        ? React.createElement(
             'div',
-            { className: 'col-md-12 d-flex pt-3 pb-1' },
+            { className: 'col-md-12 d-flex align-items-center pt-2' },
             React.createElement(
               'div',
               { className: 'custom-control custom-switch mr-3' },
@@ -320,21 +1620,92 @@
                 className: 'custom-control-input',
                 type: 'checkbox',
                 role: 'switch',
-                id: 'use-light-color-switch',
-                checked: lightColors,
+                id: 'use-parent-reference',
+                checked: matchParent,
                 onChange: e => {
-                  setLightColors(e.target.checked);
+                  setMatchParent(e.target.checked);
                 },
               }),
               React.createElement(
                 'label',
                 {
                   className: 'custom-control-label',
-                  for: 'use-light-color-switch',
+                  for: 'use-parent-reference',
                 },
-                'Light Colors',
+                `Match ${referenceParent.name}`,
+              ),
+            ),
+            React.createElement('img', {
+              src: referenceParent.image_path,
+              alt: referenceParent.name,
+              className: 'mr-3',
+              style: { width: '32px', height: '32px', objectFit: 'contain' },
+            }),
+            matchParent &&
+              React.createElement(
+                'div',
+                { className: 'd-flex align-items-center ml-auto' },
+                React.createElement(
+                  'label',
+                  { className: 'mb-0 mr-2', for: 'parent-reference-strength' },
+                  `Strength ${strength.toFixed(2)}`,
+                ),
+                React.createElement('input', {
+                  id: 'parent-reference-strength',
+                  className: 'custom-range',
+                  style: { width: '8rem' },
+                  type: 'range',
+                  min: 0,
+                  max: 1,
+                  step: 0.05,
+                  value: strength,
+                  title: 'Lower keeps closer to the parent icon',
+                  onChange: e => {
+                    setStrength(parseStrength(e.target.value));
+                  },
+                }),
               ),
+          )
+        : null;
+
+    /**
+     * Custom prompt component for entering a custom prompt.
+     * @returns {JSX.Element} - The rendered custom prompt component.
+     */
+    const customPrompt = () => {
+      return React.createElement(
+        'div',
+        { className: 'mb-3' },
+        React.createElement(
+          'div',
+          { classNAme: 'row' },
+          React.createElement(
+            'div',
+            { className: 'input-group col-md-12' },
+            React.createElement('input', {
+              id: 'custom-icon-prompt',
+              placeholder: 'Enter custom prompt',
+              'aria-label': 'Custom prompt',
+              className: 'text-input form-control mr-3',
+              type: 'text',
+              value: prompt,
+              onChange: e => {
+                setPrompt(e.target.value);
+              },
+            }),
+            React.createElement(
+              'button',
+              {
+                className: 'btn btn-primary',
+                id: 'update-icon-prompt',
+                onClick: _e => onChangeHandler(fetchOptions()),
+              },
+              'Submit',
             ),
+          ),
+          React.createElement(
+            'div',
+            { className: 'col-md-12 d-flex pt-3 pb-1' },
             React.createElement(
               'div',
               { className: 'custom-control custom-switch mr-3' },
@@ -357,6 +1728,90 @@
                 'Abstract Style',
               ),
             ),
+            React.createElement(
+              'div',
+              { className: 'd-flex align-items-center ml-auto' },
+              provider.models &&
+                React.createElement(
+                  'select',
+                  {
+                    id: 'icon-model',
+                    className: 'form-control mr-3',
+                    style: { width: 'auto' },
+                    'aria-label': 'Model',
+                    value: model,
+                    onChange: e => {
+                      setModel(e.target.value);
+                    },
+                  },
+                  models.map(key =>
+                    React.createElement(
+                      'option',
+                      { key, value: key },
+                      RECRAFT_MODELS[key].label,
+                    ),
+                  ),
+                ),
+              React.createElement(
+                'label',
+                { className: 'mb-0 mr-2', for: 'icon-variation-count' },
+                'Variations',
+              ),
+              React.createElement('input', {
+                id: 'icon-variation-count',
+                className: 'text-input form-control',
+                style: { width: '5rem' },
+                type: 'number',
+                min: 1,
+                max: MAX_RECRAFT_COUNT,
+                value: count,
+                onChange: e => {
+                  setCount(parseCount(e.target.value));
+                },
+              }),
+            ),
+          ),
+          React.createElement(PaletteEditor, {
+            paletteState: palette,
+            onChangeHandler: setPalette,
+            palettesState: parsePalettes(dataState.recraftColorPalettes),
+            onSaveHandler: onSavePaletteHandler,
+            onDeleteHandler: onDeletePaletteHandler,
+          }),
+          parentReference(),
+        ),
+      );
+    };
+
+    /**
+     * Edit menu component for running image operations on the selected candidate.
+     * @returns {JSX.Element} - The rendered dropdown component.
+     * @description Vectorizing is offered for raster candidates only.
+     */
+    const editMenu = () => {
+      const isVector = isSvgUrl(imageUrlsState[selectedState]);
+      return React.createElement(
+        Dropdown,
+        { drop: 'up' },
+        React.createElement(
+          Dropdown.Toggle,
+          { variant: 'secondary', id: 'edit-icon-dropdown-toggle' },
+          'Edit',
+        ),
+        React.createElement(
+          Dropdown.Menu,
+          { className: 'bg-secondary text-white' },
+          Object.entries(EDIT_OPERATIONS).map(([operation, operationLabel]) =>
+            React.createElement(
+              Dropdown.Item,
+              {
+                key: operation,
+                className: 'bg-secondary text-white',
+                disabled: operation === 'vectorize' && isVector,
+                onClick: () => onEditHandler(operation),
+              },
+              operationLabel,
+            ),
           ),
         ),
       );
@@ -365,9 +1820,10 @@
     /**
      * Loading indicator component for displaying a spinner and message.
      * @param {string} message - The message to display.
+     * @param {number} [progress] - The progress to display, from 0 to 1.
      * @returns {JSX.Element} - The rendered loading indicator component.
      */
-    const loadingIndicator = message =>
+    const loadingIndicator = (message, progress) =>
       React.createElement(
         'div',
         { className: 'ml-auto mr-auto text-center' },
@@ -380,6 +1836,25 @@
           { className: 'LoadingIndicator-message' },
           message,
         ),
+        progress !== undefined
+          ? React.createElement(ProgressBar, {
+              className: 'mt-2',
+              animated: true,
+              now: Math.round(progress * 100),
+            })
+          : null,
+      );
+
+    /**
+     * Error message component for displaying a failed generation.
+     * @param {string} message - The error message.
+     * @returns {JSX.Element} - The rendered error message component.
+     */
+    const errorMessage = message =>
+      React.createElement(
+        'div',
+        { className: 'text-center text-danger' },
+        `Failed to generate ${label.toLowerCase()}: ${message}`,
       );
 
     /**
@@ -397,58 +1872,242 @@
           React.createElement('img', {
             src: url,
             style: { maxWidth: '100%' },
-            alt: 'Generated Icon',
-            title: 'Generated Icon for ' + dataState.tagName,
+            alt: `Generated ${label}`,
+            title: `Generated ${label} for ${dataState.entityName}`,
           }),
         ),
       );
 
+    /**
+     * Image gallery component for choosing between generated candidates.
+     * @param {Array<string>} urls - The URLs of the candidates.
+     * @returns {JSX.Element} - The rendered image gallery component.
+     */
+    const imageGallery = urls =>
+      urls.length === 1
+        ? imagePreview(urls[0])
+        : React.createElement(
+            'div',
+            { className: 'd-flex flex-wrap justify-content-center' },
+            urls.map((url, index) =>
+              React.createElement(
+                'div',
+                {
+                  key: url,
+                  className:
+                    'card m-1 p-1 ' +
+                    (index === selectedState
+                      ? 'border border-primary'
+                      : 'border border-secondary'),
+                  style: { width: '45%', cursor: 'pointer' },
+                  onClick: () => onSelectHandler(index),
+                },
+                React.createElement('img', {
+                  src: url,
+                  style: { maxWidth: '100%' },
+                  alt: `Candidate ${index + 1}`,
+                  title: `Candidate ${index + 1} for ${dataState.entityName}`,
+                }),
+              ),
+            ),
+          );
+
+    /**
+     * Comparison component for the current image and the selected candidate,
+     * side by side or overlaid with a slider.
+     * @param {string} url - The URL of the selected candidate.
+     * @returns {JSX.Element|null} - The rendered comparison, if the entity has an image.
+     */
+    const comparison = url => {
+      if (!url || isDefaultImage(dataState.imagePath)) {
+        return null;
+      }
+      const image = (src, title, style = {}) =>
+        React.createElement('img', {
+          src,
+          alt: title,
+          title,
+          style: {
+            width: '100%',
+            height: '100%',
+            objectFit: 'contain',
+            ...style,
+          },
+        });
+      const modeButton = (mode, text) =>
+        React.createElement(
+          Button,
+          {
+            variant: compareMode === mode ? 'primary' : 'secondary',
+            size: 'sm',
+            onClick: () => setCompareMode(mode),
+          },
+          text,
+        );
+
+      return React.createElement(
+        'div',
+        { className: 'mt-3' },
+        React.createElement(
+          'div',
+          { className: 'd-flex align-items-center mb-2' },
+          React.createElement(
+            'span',
+            { className: 'small text-muted mr-auto' },
+            `Current ${label.toLowerCase()} and the selected candidate`,
+          ),
+          React.createElement(
+            'div',
+            { className: 'btn-group' },
+            modeButton('side', 'Side by Side'),
+            modeButton('slider', 'Slider'),
+          ),
+        ),
+        compareMode === 'side'
+          ? React.createElement(
+              'div',
+              { className: 'd-flex justify-content-center' },
+              ['Current', 'New'].map((title, index) =>
+                React.createElement(
+                  'div',
+                  {
+                    key: title,
+                    className: 'text-center mx-2',
+                    style: { width: '40%' },
+                  },
+                  React.createElement(
+                    'div',
+                    { style: { height: '160px' } },
+                    image(index === 0 ? dataState.imagePath : url, title),
+                  ),
+                  React.createElement(
+                    'small',
+                    { className: 'text-muted' },
+                    title,
+                  ),
+                ),
+              ),
+            )
+          : React.createElement(
+              'div',
+              { className: 'mx-auto', style: { width: '60%' } },
+              React.createElement(
+                'div',
+                { style: { position: 'relative', height: '240px' } },
+                image(dataState.imagePath, 'Current', { position: 'absolute' }),
+                image(url, 'New', {
+                  position: 'absolute',
+                  clipPath: `inset(0 ${100 - comparePosition}% 0 0)`,
+                }),
+              ),
+              React.createElement('input', {
+                type: 'range',
+                className: 'custom-range',
+                min: 0,
+                max: 100,
+                value: comparePosition,
+                title: 'New on the left, current on the right',
+                onChange: e => setComparePosition(Number(e.target.value)),
+              }),
+            ),
+      );
+    };
+
     return React.createElement(
       Modal,
       { show: displayState, onHide: onCloseHandler },
       React.createElement(
         Modal.Header,
         { closeButton: true },
-        React.createElement(Modal.Title, null, 'Generate Icon'),
+        React.createElement(Modal.Title, null, `Generate ${label}`),
       ),
       React.createElement(
         Modal.Body,
         null,
         customState
-          ? customPrompt(dataState.tagName)
+          ? customPrompt()
           : loadingState
-            ? loadingIndicator('Generating icon...')
-            : imageUrlState
-              ? imagePreview(imageUrlState)
-              : null,
+            ? loadingIndicator(
+                JOB_STAGES[stageState] ||
+                  `Generating ${label.toLowerCase()}...`,
+                stageState === 'saving' ? undefined : progressState,
+              )
+            : imageUrlsState.length > 0
+              ? React.createElement(
+                  React.Fragment,
+                  null,
+                  cachedState &&
+                    React.createElement(
+                      'div',
+                      { className: 'text-center text-muted small mb-2' },
+                      `Generated earlier, last on ${new Date(
+                        cachedState,
+                      ).toLocaleString()}. 'Generate New' makes new ones.`,
+                    ),
+                  reviewState &&
+                    React.createElement(
+                      'div',
+                      { className: 'text-center text-muted small mb-2' },
+                      `Generated automatically for this ${label.toLowerCase()}. Save to apply it, or refresh to make new ones.`,
+                    ),
+                  imageGallery(imageUrlsState),
+                  comparison(imageUrlsState[selectedState]),
+                )
+              : errorState
+                ? errorMessage(errorState)
+                : null,
       ),
       React.createElement(
         Modal.Footer,
         null,
+        React.createElement(UsageSummary, {
+          usageState,
+          className: 'mr-auto',
+        }),
         React.createElement(
           Button,
           { variant: 'secondary', onClick: onCloseHandler },
           'Close',
         ),
-        imageUrlState
+        loadingState && stageState !== 'saving'
+          ? React.createElement(
+              Button,
+              {
+                variant: 'danger',
+                disabled: stageState === 'cancelling',
+                onClick: onCancelHandler,
+              },
+              'Cancel',
+            )
+          : null,
+        !loadingState && imageUrlsState.length > 0
           ? React.createElement(
               Button,
               {
                 variant: 'success',
                 onClick: () =>
                   onRefreshHandler({
-                    tagName: prompt,
-                    abstractStyle: abstractStyle,
-                    lightColors: lightColors,
+                    ...fetchOptions(),
+                    fresh: Boolean(cachedState),
                   }),
               },
-              'Refresh',
+              cachedState ? 'Generate New' : 'Refresh',
             )
           : null,
-        imageUrlState
+        !loadingState && imageUrlsState.length > 0 && provider.edits
+          ? editMenu()
+          : null,
+        !loadingState && imageUrlsState.length > 0
           ? React.createElement(
               Button,
-              { variant: 'primary', onClick: () => onSaveHandler(dataState) },
+              {
+                variant: 'primary',
+                onClick: () =>
+                  onSaveHandler({
+                    ...dataState,
+                    imageUrl: imageUrlsState[selectedState],
+                  }),
+              },
               'Update Image',
             )
           : null,
@@ -457,187 +2116,4260 @@
   };
 
   /**
-   * Returns an array containing the scenario and scenario ID extracted from the current URL.
-   * @returns {Array<string>} An array containing the scenario and scenario ID.
+   * Status labels and badge variants for bulk generation items.
    */
-  const getTagId = function () {
-    var result = document.URL.match(/(tags)\/(\d+)/);
-    return result[2];
+  const BULK_STATUS = {
+    pending: { label: 'Pending', variant: 'secondary' },
+    generating: { label: 'Generating', variant: 'info' },
+    saving: { label: 'Saving', variant: 'info' },
+    done: { label: 'Done', variant: 'success' },
+    staged: { label: 'Staged', variant: 'primary' },
+    failed: { label: 'Failed', variant: 'danger' },
   };
 
   /**
-   * Fetches the tag icon from the Recraft API and returns the image URL.
-   * @param {Object} params - The parameters for the API request.
-   * @param {string} tagName - The name of the tag.
+   * Checks whether a queue item needs no more work.
+   * @param {Object} item - The queue item.
+   * @returns {boolean} True once its icon is saved or staged for review.
+   */
+  const isQueueItemDone = function (item) {
+    return item.status === 'done' || item.status === 'staged';
+  };
+
+  /**
+   * Hook running a queue of tags, generating and saving an icon for each.
+   * @param {Object} params - The plugin settings.
    * @param {Object} Toast - The Toast object for displaying messages.
-   * @returns {Promise<string>} - A promise that resolves with the image URL.
+   * @param {function} [onSaved] - Receives each item and the updated tag once saved.
+   * @returns {Object} The queue: `items`, `setItems`, `running`, `runQueue` and `stopQueue`.
+   * @description Items are `{ id, name, prompt, imageUrl, status, error }`. An
+   * item with a `parentId` is generated from the icon of that parent, taken after
+   * the parent is saved when it is in the queue too, and an item with a
+   * `referenceUrl` from that image.
    */
-  const _fetchTagIcon = async (params, tagName, Toast) => {
-    console.log(`Creating icon for ${tagName}...`);
-    const {
-      recraftApiKey,
-      recraftApiUrl,
-      recraftTagIconSize,
-      recraftTagIconStyle,
-      recraftTagIconSubStyle,
-      recraftTagIconStyleId,
-    } = params;
-    let response;
+  const useIconQueue = (params, Toast, onSaved = null) => {
+    const [items, setItems] = React.useState([]);
+    const [running, setRunning] = React.useState(false);
+    const stopRef = React.useRef(false);
+    const jobRef = React.useRef(null);
+
+    /**
+     * Stops the queue and cancels the generation of the current tag.
+     * @returns {void}
+     */
+    const stopQueue = () => {
+      stopRef.current = true;
+      if (jobRef.current) {
+        cancelPluginJob(jobRef.current).catch(e =>
+          console.error('Failed to cancel job:', e),
+        );
+        jobRef.current = null;
+      }
+    };
+
+    /**
+     * Updates a single queue item.
+     * @param {string} id - The ID of the tag.
+     * @param {Object} changes - The properties to update.
+     * @returns {void}
+     */
+    const updateItem = (id, changes) => {
+      setItems(prev =>
+        prev.map(item => (item.id === id ? { ...item, ...changes } : item)),
+      );
+    };
+
+    /**
+     * Generates and saves an icon for each tag in the queue, one at a time.
+     * @returns {Promise<void>}
+     * @description Tags that are already done are skipped, so running the
+     * queue again retries only the failed ones. A run that would exceed the
+     * monthly image budget has to be confirmed, or is refused.
+     */
+    const runQueue = async () => {
+      const budgetError = await checkBudget(
+        params,
+        items.filter(item => !isQueueItemDone(item)).length,
+      );
+      if (budgetError) {
+        Toast.error(budgetError);
+        return;
+      }
+      stopRef.current = false;
+      setRunning(true);
+      let succeeded = 0,
+        staged = 0,
+        failed = 0;
+      const images = {};
+      items.forEach(item => {
+        images[item.id] = item.imageUrl;
+      });
+
+      for (const item of items) {
+        if (stopRef.current) {
+          break;
+        }
+        if (isQueueItemDone(item)) {
+          continue;
+        }
+        updateItem(item.id, { status: 'generating', error: null });
+        const referenceUrl = item.parentId
+          ? images[item.parentId]
+          : item.referenceUrl;
+        try {
+          const [url] = await fetchTagIcon(
+            { ...params, entityName: item.name, entity: item.entity },
+            item.prompt,
+            false,
+            getDefaultPalette(params),
+            null,
+            1,
+            update => {
+              jobRef.current = update.jobId;
+              updateItem(item.id, { stage: update.stage });
+            },
+            referenceUrl && !isDefaultImage(referenceUrl)
+              ? {
+                  imageUrl: referenceUrl,
+                  strength: params.recraftTagIconReferenceStrength,
+                }
+              : null,
+          );
+          jobRef.current = null;
+          updateItem(item.id, { status: 'saving', stage: null });
+          if (params.recraftBulkIconMode !== 'apply') {
+            await stagePendingIcon({
+              entityType: 'tag',
+              entityId: item.id,
+              entityName: item.name,
+              prompt: item.prompt,
+              urls: [url],
+            });
+            images[item.id] = url;
+            updateItem(item.id, { status: 'staged' });
+            staged++;
+            continue;
+          }
+          const imageUrl = await prepareTagImage(params, url);
+          const tag = await saveEntityImage(
+            {
+              entityType: 'tag',
+              entityId: item.id,
+              imageUrl,
+              entityName: item.name,
+              previousImageUrl: item.imageUrl,
+            },
+            null,
+            getHistoryMetadata(params, item.prompt),
+          );
+          images[item.id] = tag.image_path || url;
+          updateItem(item.id, {
+            status: 'done',
+            imageUrl: images[item.id],
+          });
+          if (onSaved) {
+            onSaved(item, tag);
+          }
+          succeeded++;
+        } catch (e) {
+          jobRef.current = null;
+          if (e instanceof JobCancelledError) {
+            updateItem(item.id, { status: 'pending', stage: null });
+            break;
+          }
+          console.error(`Failed to create icon for ${item.name}:`, e);
+          updateItem(item.id, {
+            status: 'failed',
+            stage: null,
+            error: `${e.message || e}`,
+          });
+          failed++;
+        }
+      }
+
+      setRunning(false);
+      const created = staged
+        ? `Staged ${staged} icons for review`
+        : `Created ${succeeded} icons`;
+      if (failed > 0) {
+        Toast.error(`${created}, ${failed} failed`);
+      } else if (succeeded > 0 || staged > 0) {
+        Toast.success(created);
+      }
+    };
+
+    return { items, setItems, running, runQueue, stopQueue };
+  };
+
+  /**
+   * Hook running the review of the pending tag icons.
+   * @param {Object} params - The plugin settings.
+   * @param {Object} Toast - The Toast object for displaying messages.
+   * @returns {Object} The review: `rows`, `loading`, `load`, `select`, `approve`,
+   * `reject`, `regenerate` and `approveAll`.
+   * @description Rows are `{ entry, tag, selected, status, error }`, where
+   * `entry` is the pending entry, `tag` the tag with its current image and
+   * `selected` the index of the chosen candidate. Approved and rejected rows are
+   * removed from the pending icons and the list.
+   */
+  const useReviewQueue = (params, Toast) => {
+    const [rows, setRows] = React.useState([]);
+    const [loading, setLoading] = React.useState(false);
+
+    /**
+     * Updates a single row.
+     * @param {string} id - The ID of the pending entry.
+     * @param {Object} changes - The properties to update.
+     * @returns {void}
+     */
+    const updateRow = (id, changes) => {
+      setRows(prev =>
+        prev.map(row => (row.entry.id === id ? { ...row, ...changes } : row)),
+      );
+    };
+
+    /**
+     * Loads the pending tag icons and the current images of their tags.
+     * @returns {Promise<void>}
+     */
+    const load = async () => {
+      setLoading(true);
+      try {
+        const entries = (await fetchPendingIcons()).filter(
+          entry => entry.entityType === 'tag',
+        );
+        const tags =
+          entries.length > 0
+            ? await findTags({ ids: entries.map(entry => entry.entityId) })
+            : [];
+        setRows(
+          entries
+            .map(entry => ({
+              entry,
+              tag: tags.find(tag => tag.id === entry.entityId),
+              selected: 0,
+              status: 'pending',
+              error: null,
+            }))
+            .filter(row => row.tag),
+        );
+      } catch (e) {
+        Toast.error('Failed to load the pending icons');
+        console.error('Error loading pending icons:', e);
+      }
+      setLoading(false);
+    };
+
+    /**
+     * Chooses a candidate of a row.
+     * @param {string} id - The ID of the pending entry.
+     * @param {number} index - The index of the candidate.
+     * @returns {void}
+     */
+    const select = (id, index) => updateRow(id, { selected: index });
+
+    /**
+     * Saves the chosen candidate of a row to its tag.
+     * @param {Object} row - The row.
+     * @returns {Promise<boolean>} - A promise that resolves with whether the icon was saved.
+     */
+    const saveRow = async row => {
+      const { entry, tag, selected } = row;
+      updateRow(entry.id, { status: 'saving', error: null });
+      try {
+        const url = getDataAssetUrl(entry.images[selected].path);
+        const imageUrl = await prepareTagImage(params, url);
+        await saveEntityImage(
+          {
+            entityType: 'tag',
+            entityId: tag.id,
+            imageUrl,
+            entityName: tag.name,
+            previousImageUrl: tag.image_path,
+          },
+          null,
+          getHistoryMetadata(params, entry.prompt),
+        );
+        return true;
+      } catch (e) {
+        console.error(`Failed to save the icon of ${tag.name}:`, e);
+        updateRow(entry.id, { status: 'failed', error: `${e.message || e}` });
+        return false;
+      }
+    };
+
+    /**
+     * Removes rows from the pending icons and the list.
+     * @param {Array<string>} ids - The IDs of the pending entries.
+     * @returns {Promise<void>}
+     */
+    const dismissRows = async ids => {
+      if (ids.length === 0) {
+        return;
+      }
+      setRows(prev => prev.filter(row => !ids.includes(row.entry.id)));
+      try {
+        await dismissPendingIcons(ids);
+      } catch (e) {
+        Toast.error('Failed to remove the reviewed icons');
+        console.error('Failed to dismiss pending icons:', e);
+      }
+    };
+
+    /**
+     * Approves a row, saving its chosen candidate.
+     * @param {Object} row - The row.
+     * @returns {Promise<void>}
+     */
+    const approve = async row => {
+      if (await saveRow(row)) {
+        await dismissRows([row.entry.id]);
+      }
+    };
+
+    /**
+     * Rejects a row, discarding its candidates.
+     * @param {Object} row - The row.
+     * @returns {Promise<void>}
+     */
+    const reject = row => dismissRows([row.entry.id]);
+
+    /**
+     * Replaces the candidates of a row with newly generated ones.
+     * @param {Object} row - The row.
+     * @returns {Promise<void>}
+     */
+    const regenerate = async row => {
+      const { entry, tag } = row;
+      const count = parseCount(params.recraftTagIconCount);
+      const budgetError = await checkBudget(params, count);
+      if (budgetError) {
+        Toast.error(budgetError);
+        return;
+      }
+      updateRow(entry.id, { status: 'generating', error: null });
+      try {
+        const urls = await fetchTagIcon(
+          { ...params, entityName: tag.name, entity: normalizeEntity(tag) },
+          entry.prompt || tag.name,
+          false,
+          getDefaultPalette(params),
+          null,
+          count,
+        );
+        const staged = await stagePendingIcon({
+          entityType: 'tag',
+          entityId: tag.id,
+          entityName: tag.name,
+          prompt: entry.prompt,
+          urls,
+        });
+        updateRow(entry.id, {
+          entry: staged,
+          selected: 0,
+          status: 'pending',
+        });
+      } catch (e) {
+        console.error(`Failed to regenerate the icon of ${tag.name}:`, e);
+        updateRow(entry.id, { status: 'failed', error: `${e.message || e}` });
+      }
+    };
+
+    /**
+     * Approves every row, saving the chosen candidates one at a time.
+     * @returns {Promise<void>}
+     */
+    const approveAll = async () => {
+      const approved = [];
+      const ready = rows.filter(item => item.status !== 'generating');
+      for (const row of ready) {
+        if (await saveRow(row)) {
+          approved.push(row.entry.id);
+        }
+      }
+      await dismissRows(approved);
+      const failed = ready.length - approved.length;
+      if (failed > 0) {
+        Toast.error(`Saved ${approved.length} icons, ${failed} failed`);
+      } else if (approved.length > 0) {
+        Toast.success(`Saved ${approved.length} icons`);
+      }
+    };
+
+    return {
+      rows,
+      loading,
+      load,
+      select,
+      approve,
+      reject,
+      regenerate,
+      approveAll,
+    };
+  };
+
+  /**
+   * Hook following the server-side Generate Missing Tag Icons task.
+   * @param {Object} params - The plugin settings.
+   * @param {Object} Toast - The Toast object for displaying messages.
+   * @returns {Object} The run: `job`, `state`, `missing`, `refresh`, `start` and `stop`.
+   * @description The task runs in the Stash job queue, independent of the
+   * browser. While the modal is open, the job and the run state are polled.
+   */
+  const useMissingIcons = (params, Toast) => {
+    const [job, setJob] = React.useState(null);
+    const [state, setState] = React.useState(null);
+    const [missing, setMissing] = React.useState(null);
+    const watchRef = React.useRef(null);
+    const mountedRef = React.useRef(true);
+
+    React.useEffect(() => {
+      mountedRef.current = true;
+      return () => {
+        // Stop polling, the job itself keeps running
+        mountedRef.current = false;
+        watchRef.current?.controller.abort();
+        watchRef.current = null;
+      };
+    }, []);
+
+    /**
+     * Follows a job until it leaves the job queue, reloading the run state on every poll.
+     * Only one job is followed, and polling stops when the component unmounts.
+     * @param {Object} current - The job.
+     * @returns {Promise<void>}
+     */
+    const watch = async current => {
+      if (!mountedRef.current || watchRef.current?.id === current.id) {
+        return;
+      }
+      watchRef.current?.controller.abort();
+      const watching = { id: current.id, controller: new AbortController() };
+      watchRef.current = watching;
+      setJob(current);
+      await waitForJob(
+        current.id,
+        1000,
+        3000,
+        update => {
+          if (watchRef.current === watching) {
+            setJob(update);
+            fetchMissingIconsState().then(runState => {
+              if (watchRef.current === watching) {
+                setState(runState);
+              }
+            });
+          }
+        },
+        watching.controller.signal,
+      );
+      if (watchRef.current === watching) {
+        watchRef.current = null;
+        setJob(null);
+        refresh();
+      }
+    };
+
+    /**
+     * Reloads the run state, the number of tags without an image and the running job.
+     * @returns {Promise<void>}
+     */
+    const refresh = async () => {
+      try {
+        const [current, runState, count] = await Promise.all([
+          findMissingIconsJob(),
+          fetchMissingIconsState(),
+          countMissingTagIcons(),
+        ]);
+        if (!mountedRef.current) {
+          return;
+        }
+        setState(runState);
+        setMissing(count);
+        if (current) {
+          watch(current);
+        }
+      } catch (e) {
+        console.error('Failed to load the missing icons run:', e);
+      }
+    };
+
+    /**
+     * Starts the task.
+     * @param {Object} options - The run options.
+     * @param {string} options.limit - The most tags to process, empty for the setting.
+     * @param {boolean} options.retryFailed - Whether to retry the tags that failed before.
+     * @returns {Promise<void>}
+     */
+    const start = async ({ limit, retryFailed }) => {
+      const runLimit = parseSettingInt(
+        limit === '' ? params.recraftMissingIconsLimit : limit,
+        DEFAULT_MISSING_ICONS_LIMIT,
+      );
+      const budgetError = await checkBudget(
+        params,
+        runLimit > 0 ? Math.min(runLimit, missing || 0) : missing || 0,
+      );
+      if (budgetError) {
+        Toast.error(budgetError);
+        return;
+      }
+      try {
+        const result = await runPluginTask(PLUGIN_ID, MISSING_ICONS_TASK, [
+          { key: 'limit', value: { str: `${limit}` } },
+          { key: 'retryFailed', value: { str: `${retryFailed}` } },
+        ]);
+        const jobId = result?.runPluginTask;
+        if (!jobId) {
+          throw new Error(`Failed to start task: ${MISSING_ICONS_TASK}`);
+        }
+        watch({ id: jobId, status: 'READY', progress: 0 });
+      } catch (e) {
+        Toast.error('Failed to start generating missing icons');
+        console.error('Failed to start the missing icons task:', e);
+      }
+    };
+
+    /**
+     * Stops the running task. Icons saved so far are kept.
+     * @returns {Promise<void>}
+     */
+    const stop = async () => {
+      if (!job) {
+        return;
+      }
+      try {
+        await stopJob(job.id);
+      } catch (e) {
+        console.error('Failed to stop the missing icons task:', e);
+      }
+    };
+
+    return { job, state, missing, refresh, start, stop };
+  };
+
+  /**
+   * Bulk button component for generating icons for many tags at once.
+   * @param {Object} params - The component props.
+   * @param {string} params.recraftApiKey - The API key for Recraft.
+   * @param {string} params.recraftApiUrl - The API URL for Recraft.
+   * @returns {JSX.Element} - The rendered bulk button component.
+   */
+  const BulkButtonComponent = params => {
+    const Toast = useToast();
+    const [display, setDisplay] = React.useState(false);
+    const [source, setSource] = React.useState('selected');
+    const [loading, setLoading] = React.useState(false);
+    const [missingDisplay, setMissingDisplay] = React.useState(false);
+    const [selection, setSelection] = React.useState(DEFAULT_TAG_SELECTION);
+    const [selections, setSelections] = React.useState(() =>
+      parseTagSelections(params.recraftTagSelections),
+    );
+    const { items, setItems, running, runQueue, stopQueue } = useIconQueue(
+      params,
+      Toast,
+    );
+    const missingIcons = useMissingIcons(params, Toast);
+    const [reviewDisplay, setReviewDisplay] = React.useState(false);
+    const review = useReviewQueue(params, Toast);
+
+    /**
+     * Opens the review of the pending icons.
+     * @returns {void}
+     */
+    const enableReview = () => {
+      setReviewDisplay(true);
+      review.load();
+    };
+
+    /**
+     * Opens the Generate Missing Tag Icons modal.
+     * @returns {void}
+     */
+    const enableMissing = () => {
+      setMissingDisplay(true);
+      missingIcons.refresh();
+    };
+
+    /**
+     * Callback function to enable the modal.
+     * @returns {void}
+     * @description Preselects the selected tags when any are checked,
+     * otherwise the search text of the list, or the tag filter without one.
+     */
+    const enableModal = () => {
+      setSource(
+        getSelectedTagIds().length > 0
+          ? 'selected'
+          : getSearchText()
+            ? 'search'
+            : 'builder',
+      );
+      setItems([]);
+      setDisplay(true);
+    };
+
+    /**
+     * Callback function to disable the modal.
+     * @returns {void}
+     * @description Stops any running queue and cancels the current tag.
+     */
+    const disableModal = () => {
+      stopQueue();
+      setDisplay(false);
+    };
+
+    /**
+     * Loads the tags to process from the selected source.
+     * @returns {Promise<void>}
+     * @description The search text source only takes the `q` search of the list
+     * page, not its other filter criteria. More than BULK_CONFIRM_COUNT tags have
+     * to be confirmed before they are queued.
+     */
+    const loadTags = async () => {
+      setLoading(true);
+      try {
+        let tags;
+        if (source === 'selected') {
+          const ids = getSelectedTagIds();
+          tags = ids.length > 0 ? await findTags({ ids }) : [];
+        } else if (source === 'builder') {
+          tags = await findTags({ tagFilter: await buildTagFilter(selection) });
+        } else {
+          const q = getSearchText();
+          tags = q ? await findTags({ q }) : [];
+        }
+        if (
+          tags.length > BULK_CONFIRM_COUNT &&
+          !window.confirm(`Queue ${tags.length} tags for new icons?`)
+        ) {
+          tags = [];
+        }
+        setItems(
+          tags.map(tag => ({
+            id: tag.id,
+            name: tag.name,
+            entity: normalizeEntity(tag),
+            prompt: renderPromptTemplate(
+              params.recraftTagIconPromptTemplate ||
+                ENTITY_TYPES.tag.defaultPrompt,
+              normalizeEntity(tag),
+            ),
+            imageUrl: tag.image_path,
+            status: 'pending',
+            error: null,
+          })),
+        );
+      } catch (e) {
+        Toast.error(e.message || 'Failed to load tags');
+        console.error('Error loading tags:', e);
+      }
+      setLoading(false);
+    };
+
+    /**
+     * Saves the current tag selection under a name, replacing a selection of that name.
+     * @param {string} name - The name of the selection.
+     * @returns {Promise<void>}
+     */
+    const saveSelection = async name => {
+      const saved = [
+        ...selections.filter(item => item.name !== name),
+        { name, selection },
+      ];
+      try {
+        await savePluginSettings({
+          recraftTagSelections: JSON.stringify(saved),
+        });
+        setSelections(saved);
+        Toast.success(`Saved selection: ${name}`);
+      } catch (e) {
+        Toast.error(`Failed to save selection: ${name}`);
+        console.error('Failed to save selection:', e);
+      }
+    };
+
+    /**
+     * Deletes a saved tag selection.
+     * @param {string} name - The name of the selection.
+     * @returns {Promise<void>}
+     */
+    const deleteSelection = async name => {
+      const saved = selections.filter(item => item.name !== name);
+      try {
+        await savePluginSettings({
+          recraftTagSelections: JSON.stringify(saved),
+        });
+        setSelections(saved);
+      } catch (e) {
+        Toast.error(`Failed to delete selection: ${name}`);
+        console.error('Failed to delete selection:', e);
+      }
+    };
+
+    const buttonInstance = React.createElement(DropdownDetailButton, {
+      label: 'Icons',
+      options: [
+        { onClickHandler: _e => enableModal(), label: 'Create Icons' },
+        { onClickHandler: _e => enableMissing(), label: 'Missing Icons' },
+        { onClickHandler: _e => enableReview(), label: 'Review Icons' },
+      ],
+    });
+
+    const toolbar = useToolbarContainer(
+      '.filtered-list-toolbar',
+      'recraft-bulk-button ml-2',
+    );
+
+    return React.createElement(
+      React.Fragment,
+      null,
+      toolbar && api.ReactDOM.createPortal(buttonInstance, toolbar),
+      React.createElement(BulkModal, {
+        displayState: display,
+        onCloseHandler: disableModal,
+        onSourceHandler: setSource,
+        onLoadHandler: loadTags,
+        onRunHandler: runQueue,
+        onStopHandler: stopQueue,
+        sourceState: source,
+        itemsState: items,
+        loadingState: loading,
+        runningState: running,
+        selectionState: selection,
+        onSelectionHandler: setSelection,
+        selectionsState: selections,
+        onSaveSelectionHandler: saveSelection,
+        onDeleteSelectionHandler: deleteSelection,
+      }),
+      React.createElement(MissingIconsModal, {
+        displayState: missingDisplay,
+        onCloseHandler: () => setMissingDisplay(false),
+        onStartHandler: missingIcons.start,
+        onStopHandler: missingIcons.stop,
+        jobState: missingIcons.job,
+        runState: missingIcons.state,
+        missingState: missingIcons.missing,
+        settingsState: params,
+      }),
+      React.createElement(ReviewModal, {
+        displayState: reviewDisplay,
+        onCloseHandler: () => setReviewDisplay(false),
+        review,
+      }),
+    );
+  };
+
+  /**
+   * Modal component for the bulk generation queue.
+   * @param {Object} props - The component props.
+   * @param {boolean} props.displayState - State to control modal visibility.
+   * @param {function} props.onCloseHandler - Function to handle modal close.
+   * @param {function} [props.onSourceHandler] - Function to change the tag source.
+   * Without it, the source selector is hidden.
+   * @param {function} [props.onLoadHandler] - Function to load the tags.
+   * @param {function} props.onRunHandler - Function to start the queue.
+   * @param {function} props.onStopHandler - Function to stop the queue.
+   * @param {string} props.sourceState - The tag source, `selected`, `search` or `builder`.
+   * @param {Array} props.itemsState - The queue items.
+   * @param {boolean} props.loadingState - Whether the tags are loading.
+   * @param {boolean} props.runningState - Whether the queue is running.
+   * @param {string} [props.title='Create Icons'] - The title of the modal.
+   * @param {Object} [props.selectionState] - The tag selection of the `builder` source.
+   * @param {function} [props.onSelectionHandler] - Function to change the tag selection.
+   * @param {Array} [props.selectionsState] - The saved tag selections.
+   * @param {function} [props.onSaveSelectionHandler] - Function to save the tag selection under a name.
+   * @param {function} [props.onDeleteSelectionHandler] - Function to delete a saved tag selection.
+   * @returns {JSX.Element} - The rendered modal component.
+   */
+  const BulkModal = ({
+    displayState,
+    onCloseHandler,
+    onSourceHandler,
+    onLoadHandler,
+    onRunHandler,
+    onStopHandler,
+    sourceState,
+    itemsState,
+    loadingState,
+    runningState,
+    title = 'Create Icons',
+    selectionState,
+    onSelectionHandler,
+    selectionsState = [],
+    onSaveSelectionHandler,
+    onDeleteSelectionHandler,
+  }) => {
+    const completed = itemsState.filter(
+      item => isQueueItemDone(item) || item.status === 'failed',
+    ).length;
+    const failed = itemsState.filter(item => item.status === 'failed').length;
+    const remaining = itemsState.filter(item => !isQueueItemDone(item)).length;
+
+    /**
+     * Source selector component for choosing which tags to process.
+     * @returns {JSX.Element} - The rendered source selector component.
+     * @description The search source notes that only the search text of the
+     * list is used, as its other criteria may select different tags.
+     */
+    const sourceSelector = () => {
+      const selectedCount = getSelectedTagIds().length;
+      const query = getSearchText();
+      const criteria = hasListCriteria();
+      const option = (id, value, label, inactive = false) =>
+        React.createElement(
+          'div',
+          { className: 'custom-control custom-radio mr-3' },
+          React.createElement('input', {
+            className: 'custom-control-input',
+            type: 'radio',
+            id,
+            name: 'bulk-icon-source',
+            checked: sourceState === value,
+            disabled: runningState || inactive,
+            onChange: () => onSourceHandler(value),
+          }),
+          React.createElement(
+            'label',
+            { className: 'custom-control-label', for: id },
+            label,
+          ),
+        );
+
+      const selector = React.createElement(
+        'div',
+        { className: 'd-flex align-items-center mb-3' },
+        option(
+          'bulk-icon-source-selected',
+          'selected',
+          `Selected tags (${selectedCount})`,
+        ),
+        option(
+          'bulk-icon-source-search',
+          'search',
+          query ? `Search text ("${query}")` : 'Search text (none)',
+          !query,
+        ),
+        option('bulk-icon-source-builder', 'builder', 'Tag filter'),
+        React.createElement(
+          Button,
+          {
+            variant: 'secondary',
+            className: 'ml-auto',
+            disabled: runningState || loadingState,
+            onClick: onLoadHandler,
+          },
+          'Load Tags',
+        ),
+      );
+
+      return sourceState === 'search'
+        ? React.createElement(
+            React.Fragment,
+            null,
+            selector,
+            React.createElement(
+              'div',
+              {
+                className: `small mb-3 ${
+                  criteria ? 'text-warning' : 'text-muted'
+                }`,
+              },
+              criteria
+                ? 'Only the search text of the list is used, its other filter criteria are ignored. Use the tag filter for those.'
+                : 'Only the search text of the list is used, not its other filter criteria.',
+            ),
+          )
+        : selector;
+    };
+
+    /**
+     * Queue item component for displaying the status of a single tag.
+     * @param {Object} item - The queue item.
+     * @returns {JSX.Element} - The rendered queue item component.
+     */
+    const queueItem = item =>
+      React.createElement(
+        'div',
+        {
+          key: item.id,
+          className: 'd-flex align-items-center py-1 border-bottom',
+        },
+        React.createElement('img', {
+          src: item.imageUrl,
+          alt: '',
+          style: { width: '32px', height: '32px', objectFit: 'contain' },
+          className: 'mr-2',
+        }),
+        React.createElement(
+          'span',
+          { className: 'text-truncate', title: item.error || item.name },
+          item.name,
+        ),
+        React.createElement(
+          Badge,
+          {
+            className: 'ml-auto',
+            variant: BULK_STATUS[item.status].variant,
+            title: item.error || '',
+          },
+          item.status === 'generating' && JOB_STAGES[item.stage]
+            ? JOB_STAGES[item.stage]
+            : BULK_STATUS[item.status].label,
+        ),
+      );
+
+    return React.createElement(
+      Modal,
+      { show: displayState, onHide: onCloseHandler, size: 'lg' },
+      React.createElement(
+        Modal.Header,
+        { closeButton: true },
+        React.createElement(Modal.Title, null, title),
+      ),
+      React.createElement(
+        Modal.Body,
+        null,
+        onSourceHandler ? sourceSelector() : null,
+        onSourceHandler && sourceState === 'builder'
+          ? React.createElement(TagSelectionBuilder, {
+              selectionState,
+              onChangeHandler: onSelectionHandler,
+              selectionsState,
+              onSaveHandler: onSaveSelectionHandler,
+              onDeleteHandler: onDeleteSelectionHandler,
+              disabled: runningState || loadingState,
+            })
+          : null,
+        itemsState.length > 0
+          ? React.createElement(
+              React.Fragment,
+              null,
+              React.createElement(ProgressBar, {
+                className: 'mb-2',
+                now: completed,
+                max: itemsState.length,
+                label: `${completed} / ${itemsState.length}`,
+                variant: failed > 0 ? 'warning' : 'success',
+              }),
+              React.createElement(
+                'div',
+                { style: { maxHeight: '50vh', overflowY: 'auto' } },
+                itemsState.map(queueItem),
+              ),
+            )
+          : loadingState
+            ? React.createElement(
+                'div',
+                { className: 'text-center' },
+                React.createElement(Spinner, {
+                  animation: 'border',
+                  role: 'status',
+                }),
+              )
+            : null,
+      ),
+      React.createElement(
+        Modal.Footer,
+        null,
+        React.createElement(
+          Button,
+          { variant: 'secondary', onClick: onCloseHandler },
+          'Close',
+        ),
+        runningState
+          ? React.createElement(
+              Button,
+              { variant: 'danger', onClick: onStopHandler },
+              'Stop',
+            )
+          : React.createElement(
+              Button,
+              {
+                variant: 'primary',
+                disabled: remaining === 0,
+                onClick: onRunHandler,
+              },
+              failed > 0 && failed === remaining
+                ? `Retry Failed (${failed})`
+                : `Create ${remaining} Icons`,
+            ),
+      ),
+    );
+  };
+
+  /**
+   * Form component for building a tag selection from Stash tag filter criteria.
+   * @param {Object} props - The component props.
+   * @param {Object} props.selectionState - The selection, see DEFAULT_TAG_SELECTION.
+   * @param {function} props.onChangeHandler - Receives the changed selection.
+   * @param {Array} props.selectionsState - The saved selections, `{ name, selection }`.
+   * @param {function} props.onSaveHandler - Function to save the selection under a name.
+   * @param {function} props.onDeleteHandler - Function to delete a saved selection.
+   * @param {boolean} props.disabled - Whether the form is disabled.
+   * @returns {JSX.Element} - The rendered form component.
+   */
+  const TagSelectionBuilder = ({
+    selectionState,
+    onChangeHandler,
+    selectionsState,
+    onSaveHandler,
+    onDeleteHandler,
+    disabled,
+  }) => {
+    const [name, setName] = React.useState('');
+
+    /**
+     * Updates the selection.
+     * @param {Object} changes - The criteria to change.
+     * @returns {void}
+     */
+    const update = changes =>
+      onChangeHandler({ ...selectionState, ...changes });
+
+    /**
+     * Checkbox component for a criterion.
+     * @param {string} key - The key of the criterion.
+     * @param {string} label - The label of the checkbox.
+     * @param {boolean} [inactive=false] - Whether the criterion doesn't apply to the selection.
+     * @returns {JSX.Element} - The rendered checkbox.
+     */
+    const checkbox = (key, label, inactive = false) =>
+      React.createElement(
+        'div',
+        { className: 'custom-control custom-checkbox mr-3' },
+        React.createElement('input', {
+          className: 'custom-control-input',
+          type: 'checkbox',
+          id: `tag-selection-${key}`,
+          checked: !!selectionState[key],
+          disabled: disabled || inactive,
+          onChange: e => update({ [key]: e.target.checked }),
+        }),
+        React.createElement(
+          'label',
+          { className: 'custom-control-label', for: `tag-selection-${key}` },
+          label,
+        ),
+      );
+
+    /**
+     * Text field component for a criterion.
+     * @param {string} key - The key of the criterion.
+     * @param {string} label - The label of the field.
+     * @param {Object} [props] - Extra props of the input.
+     * @returns {JSX.Element} - The rendered field.
+     */
+    const textField = (key, label, props = {}) =>
+      React.createElement(
+        'div',
+        { className: 'form-group col-md-4' },
+        React.createElement('label', { for: `tag-selection-${key}` }, label),
+        React.createElement('input', {
+          id: `tag-selection-${key}`,
+          className: 'form-control form-control-sm',
+          value: selectionState[key] || '',
+          disabled,
+          onChange: e => update({ [key]: e.target.value }),
+          ...props,
+        }),
+      );
+
+    const savedName = (
+      selectionsState.find(
+        item =>
+          JSON.stringify(item.selection) === JSON.stringify(selectionState),
+      ) || {}
+    ).name;
+
+    return React.createElement(
+      'div',
+      { className: 'border rounded p-2 mb-3' },
+      React.createElement(
+        'div',
+        { className: 'form-row' },
+        textField('parent', 'Child of', { placeholder: 'Tag name' }),
+        textField('minScenes', 'Scenes at least', {
+          type: 'number',
+          min: 0,
+        }),
+        textField('nameRegex', 'Name matches', {
+          placeholder: 'Regular expression',
+        }),
+      ),
+      React.createElement(
+        'div',
+        { className: 'd-flex flex-wrap mb-2' },
+        checkbox('noImage', 'No image'),
+        checkbox(
+          'descendants',
+          'Include all descendants',
+          !`${selectionState.parent || ''}`.trim(),
+        ),
+        checkbox('favorite', 'Favorite'),
+      ),
+      React.createElement(
+        'div',
+        { className: 'd-flex align-items-center' },
+        React.createElement(
+          'select',
+          {
+            className: 'form-control form-control-sm mr-2',
+            value: savedName || '',
+            disabled: disabled || selectionsState.length === 0,
+            onChange: e => {
+              const saved = selectionsState.find(
+                item => item.name === e.target.value,
+              );
+              if (saved) {
+                onChangeHandler({
+                  ...DEFAULT_TAG_SELECTION,
+                  ...saved.selection,
+                });
+                setName(saved.name);
+              }
+            },
+          },
+          React.createElement('option', { value: '' }, 'Saved selections...'),
+          selectionsState.map(item =>
+            React.createElement(
+              'option',
+              { key: item.name, value: item.name },
+              item.name,
+            ),
+          ),
+        ),
+        React.createElement('input', {
+          className: 'form-control form-control-sm mr-2',
+          placeholder: 'Selection name',
+          value: name,
+          disabled,
+          onChange: e => setName(e.target.value),
+        }),
+        React.createElement(
+          Button,
+          {
+            variant: 'secondary',
+            size: 'sm',
+            className: 'mr-2 text-nowrap',
+            disabled: disabled || !name.trim(),
+            onClick: () => onSaveHandler(name.trim()),
+          },
+          'Save',
+        ),
+        React.createElement(
+          Button,
+          {
+            variant: 'danger',
+            size: 'sm',
+            disabled: disabled || !savedName,
+            onClick: () => onDeleteHandler(savedName),
+          },
+          'Delete',
+        ),
+      ),
+    );
+  };
+
+  /**
+   * Keyboard shortcuts of the review modal, shown in its footer.
+   */
+  const REVIEW_SHORTCUTS =
+    '↑/↓ or j/k: tag · ←/→: candidate · a: approve · d: reject · g: regenerate';
+
+  /**
+   * Modal component for reviewing the pending tag icons.
+   * @param {Object} props - The component props.
+   * @param {boolean} props.displayState - State to control modal visibility.
+   * @param {function} props.onCloseHandler - Function to handle modal close.
+   * @param {Object} props.review - The review, as returned by `useReviewQueue`.
+   * @returns {JSX.Element} - The rendered modal component.
+   * @description Each row shows the current image of a tag next to its
+   * candidates. The active row is driven by the keyboard, see REVIEW_SHORTCUTS.
+   */
+  const ReviewModal = ({ displayState, onCloseHandler, review }) => {
+    const { rows, loading } = review;
+    const [active, setActive] = React.useState(0);
+    const [approving, setApproving] = React.useState(false);
+    const listRef = React.useRef(null);
+    const busy = row => row.status === 'saving' || row.status === 'generating';
+
+    React.useEffect(() => {
+      if (active >= rows.length && rows.length > 0) {
+        setActive(rows.length - 1);
+      }
+    }, [rows.length]);
+
+    React.useEffect(() => {
+      if (!displayState) {
+        return;
+      }
+      document.addEventListener('keydown', onKeyDown);
+      return () => document.removeEventListener('keydown', onKeyDown);
+    });
+
+    React.useEffect(() => {
+      const element = listRef.current?.children[active];
+      if (element) {
+        element.scrollIntoView({ block: 'nearest' });
+      }
+    }, [active]);
+
+    /**
+     * Approves every row.
+     * @returns {Promise<void>}
+     */
+    const approveAll = async () => {
+      setApproving(true);
+      await review.approveAll();
+      setApproving(false);
+    };
+
+    /**
+     * Handles the keyboard shortcuts.
+     * @param {KeyboardEvent} e - The key event.
+     * @returns {void}
+     */
+    const onKeyDown = e => {
+      if (
+        approving ||
+        e.ctrlKey ||
+        e.metaKey ||
+        e.altKey ||
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)
+      ) {
+        return;
+      }
+      const row = rows[active];
+      const actions = {
+        ArrowDown: () => setActive(Math.min(active + 1, rows.length - 1)),
+        j: () => setActive(Math.min(active + 1, rows.length - 1)),
+        ArrowUp: () => setActive(Math.max(active - 1, 0)),
+        k: () => setActive(Math.max(active - 1, 0)),
+        ArrowLeft: () =>
+          row && review.select(row.entry.id, Math.max(row.selected - 1, 0)),
+        ArrowRight: () =>
+          row &&
+          review.select(
+            row.entry.id,
+            Math.min(row.selected + 1, row.entry.images.length - 1),
+          ),
+        a: () => row && !busy(row) && review.approve(row),
+        d: () => row && !busy(row) && review.reject(row),
+        g: () => row && !busy(row) && review.regenerate(row),
+      };
+      if (actions[e.key]) {
+        e.preventDefault();
+        actions[e.key]();
+      }
+    };
+
+    /**
+     * Image component for a current image or a candidate.
+     * @param {string} url - The URL of the image.
+     * @param {Object} [props] - Extra props of the wrapper.
+     * @returns {JSX.Element} - The rendered image.
+     */
+    const thumbnail = (url, props = {}) =>
+      React.createElement(
+        'div',
+        {
+          className: 'border rounded mr-2 p-1',
+          style: { width: '80px', height: '80px', flex: '0 0 auto' },
+          ...props,
+        },
+        React.createElement('img', {
+          src: url,
+          alt: '',
+          style: { width: '100%', height: '100%', objectFit: 'contain' },
+        }),
+      );
+
+    /**
+     * Row component for a tag and its candidates.
+     * @param {Object} row - The row.
+     * @param {number} index - The index of the row.
+     * @returns {JSX.Element} - The rendered row.
+     */
+    const reviewRow = (row, index) =>
+      React.createElement(
+        'div',
+        {
+          key: row.entry.id,
+          className: `d-flex align-items-center p-2 border-bottom${
+            index === active ? ' bg-secondary' : ''
+          }`,
+          onClick: () => setActive(index),
+        },
+        React.createElement(
+          'div',
+          { className: 'mr-3 text-truncate', style: { width: '10rem' } },
+          React.createElement(
+            'a',
+            { href: `/tags/${row.tag.id}`, title: row.entry.prompt },
+            row.tag.name,
+          ),
+          row.error
+            ? React.createElement(
+                'small',
+                { className: 'd-block text-danger', title: row.error },
+                row.error,
+              )
+            : null,
+        ),
+        thumbnail(row.tag.image_path, { title: 'Current' }),
+        React.createElement('span', { className: 'mr-2' }, '→'),
+        busy(row)
+          ? React.createElement(Spinner, {
+              animation: 'border',
+              size: 'sm',
+              className: 'mx-4',
+            })
+          : row.entry.images.map((image, imageIndex) =>
+              thumbnail(getDataAssetUrl(image.path), {
+                key: image.path,
+                title: `Candidate ${imageIndex + 1}`,
+                className: `border rounded mr-2 p-1${
+                  imageIndex === row.selected ? ' border-success' : ''
+                }`,
+                style: {
+                  width: '80px',
+                  height: '80px',
+                  flex: '0 0 auto',
+                  borderWidth: imageIndex === row.selected ? '3px' : '1px',
+                  cursor: 'pointer',
+                },
+                onClick: () => review.select(row.entry.id, imageIndex),
+              }),
+            ),
+        React.createElement(
+          'div',
+          { className: 'ml-auto d-flex' },
+          React.createElement(
+            Button,
+            {
+              variant: 'success',
+              size: 'sm',
+              className: 'mr-1',
+              disabled: busy(row) || approving,
+              onClick: () => review.approve(row),
+            },
+            'Approve',
+          ),
+          React.createElement(
+            Button,
+            {
+              variant: 'danger',
+              size: 'sm',
+              className: 'mr-1',
+              disabled: busy(row) || approving,
+              onClick: () => review.reject(row),
+            },
+            'Reject',
+          ),
+          React.createElement(
+            Button,
+            {
+              variant: 'secondary',
+              size: 'sm',
+              disabled: busy(row) || approving,
+              onClick: () => review.regenerate(row),
+            },
+            'Regenerate',
+          ),
+        ),
+      );
+
+    return React.createElement(
+      Modal,
+      { show: displayState, onHide: onCloseHandler, size: 'xl' },
+      React.createElement(
+        Modal.Header,
+        { closeButton: true },
+        React.createElement(
+          Modal.Title,
+          null,
+          `Review Icons${rows.length > 0 ? ` (${rows.length})` : ''}`,
+        ),
+      ),
+      React.createElement(
+        Modal.Body,
+        null,
+        loading
+          ? React.createElement(
+              'div',
+              { className: 'text-center' },
+              React.createElement(Spinner, {
+                animation: 'border',
+                role: 'status',
+              }),
+            )
+          : rows.length > 0
+            ? React.createElement(
+                'div',
+                {
+                  ref: listRef,
+                  style: { maxHeight: '65vh', overflowY: 'auto' },
+                },
+                rows.map(reviewRow),
+              )
+            : React.createElement(
+                'div',
+                { className: 'text-center text-muted' },
+                'No icons are waiting for review.',
+              ),
+      ),
+      React.createElement(
+        Modal.Footer,
+        null,
+        React.createElement(
+          'small',
+          { className: 'mr-auto text-muted' },
+          REVIEW_SHORTCUTS,
+        ),
+        React.createElement(
+          Button,
+          { variant: 'secondary', onClick: onCloseHandler },
+          'Close',
+        ),
+        React.createElement(
+          Button,
+          {
+            variant: 'primary',
+            disabled: approving || rows.length === 0,
+            onClick: approveAll,
+          },
+          approving ? 'Approving...' : `Approve All (${rows.length})`,
+        ),
+      ),
+    );
+  };
+
+  /**
+   * Labels for the statuses of a Generate Missing Tag Icons run.
+   */
+  const MISSING_ICONS_STATUS = {
+    running: 'Stopped before it finished',
+    finished: 'Finished',
+    budget: 'Stopped, the monthly image budget is used up',
+    error: 'Stopped by an error',
+  };
+
+  /**
+   * Modal component for starting and following the Generate Missing Tag Icons task.
+   * @param {Object} props - The component props.
+   * @param {boolean} props.displayState - State to control modal visibility.
+   * @param {function} props.onCloseHandler - Function to handle modal close. The task keeps running.
+   * @param {function} props.onStartHandler - Function to start the task, with `{ limit, retryFailed }`.
+   * @param {function} props.onStopHandler - Function to stop the task.
+   * @param {Object|null} props.jobState - The running job, if any.
+   * @param {Object|null} props.runState - The state of the current or last run.
+   * @param {number|null} props.missingState - The number of tags without an image.
+   * @param {Object} props.settingsState - The plugin settings.
+   * @returns {JSX.Element} - The rendered modal component.
+   */
+  const MissingIconsModal = ({
+    displayState,
+    onCloseHandler,
+    onStartHandler,
+    onStopHandler,
+    jobState,
+    runState,
+    missingState,
+    settingsState,
+  }) => {
+    const [limit, setLimit] = React.useState('');
+    const [retryFailed, setRetryFailed] = React.useState(false);
+    const running = Boolean(jobState);
+    const failed = (runState && runState.failed) || [];
+    const defaultLimit = parseSettingInt(
+      settingsState.recraftMissingIconsLimit,
+      DEFAULT_MISSING_ICONS_LIMIT,
+    );
+
+    /**
+     * Progress component for the current or last run.
+     * @returns {JSX.Element|null} - The rendered progress, or null before the first run.
+     */
+    const runProgress = () => {
+      if (!runState) {
+        return null;
+      }
+      const {
+        total = 0,
+        processed = 0,
+        applied = 0,
+        staged = 0,
+        current,
+      } = runState;
+      return React.createElement(
+        'div',
+        { className: 'mb-3' },
+        React.createElement(ProgressBar, {
+          className: 'mb-2',
+          animated: running,
+          now: processed,
+          max: Math.max(total, 1),
+          label: `${processed} / ${total}`,
+          variant: failed.length > 0 ? 'warning' : 'success',
+        }),
+        React.createElement(
+          'div',
+          { className: 'small text-muted' },
+          running
+            ? current
+              ? `Generating an icon for ${current}...`
+              : 'Starting...'
+            : `${MISSING_ICONS_STATUS[runState.status] || runState.status}: saved ${applied} icons, staged ${staged} for review.`,
+        ),
+        !running &&
+          runState.error &&
+          React.createElement(
+            'div',
+            { className: 'small text-danger' },
+            runState.error,
+          ),
+      );
+    };
+
+    /**
+     * Failed tag component for displaying why a tag failed.
+     * @param {Object} entry - The failed tag, `{ id, name, error }`.
+     * @returns {JSX.Element} - The rendered failed tag component.
+     */
+    const failedItem = entry =>
+      React.createElement(
+        'div',
+        {
+          key: entry.id,
+          className: 'd-flex align-items-center py-1 border-bottom',
+        },
+        React.createElement(
+          'a',
+          { href: `/tags/${entry.id}`, className: 'text-truncate' },
+          entry.name,
+        ),
+        React.createElement(
+          'small',
+          {
+            className: 'ml-auto text-danger text-truncate',
+            title: entry.error,
+          },
+          entry.error,
+        ),
+      );
+
+    return React.createElement(
+      Modal,
+      { show: displayState, onHide: onCloseHandler, size: 'lg' },
+      React.createElement(
+        Modal.Header,
+        { closeButton: true },
+        React.createElement(Modal.Title, null, MISSING_ICONS_TASK),
+      ),
+      React.createElement(
+        Modal.Body,
+        null,
+        React.createElement(
+          'p',
+          null,
+          missingState === null
+            ? 'Counting the tags without an image...'
+            : `${missingState} tags have no image. The icons are generated and saved on the server, so the run continues when this page is closed, and the next run picks up the remaining tags.`,
+        ),
+        runProgress(),
+        failed.length > 0
+          ? React.createElement(
+              'div',
+              {
+                className: 'mb-3',
+                style: { maxHeight: '30vh', overflowY: 'auto' },
+              },
+              failed.map(failedItem),
+            )
+          : null,
+        React.createElement(
+          'div',
+          { className: 'd-flex align-items-center' },
+          React.createElement(
+            'label',
+            { className: 'mb-0 mr-2', for: 'missing-icons-limit' },
+            'Tags per run',
+          ),
+          React.createElement('input', {
+            id: 'missing-icons-limit',
+            className: 'form-control form-control-sm mr-3',
+            style: { width: '6rem' },
+            type: 'number',
+            min: 0,
+            placeholder: `${defaultLimit || 'All'}`,
+            value: limit,
+            disabled: running,
+            onChange: e => setLimit(e.target.value),
+          }),
+          React.createElement(
+            'div',
+            { className: 'custom-control custom-checkbox' },
+            React.createElement('input', {
+              className: 'custom-control-input',
+              type: 'checkbox',
+              id: 'missing-icons-retry',
+              checked: retryFailed,
+              disabled: running,
+              onChange: e => setRetryFailed(e.target.checked),
+            }),
+            React.createElement(
+              'label',
+              { className: 'custom-control-label', for: 'missing-icons-retry' },
+              `Retry failed tags (${failed.length})`,
+            ),
+          ),
+        ),
+      ),
+      React.createElement(
+        Modal.Footer,
+        null,
+        React.createElement(
+          Button,
+          { variant: 'secondary', onClick: onCloseHandler },
+          'Close',
+        ),
+        running
+          ? React.createElement(
+              Button,
+              {
+                variant: 'danger',
+                disabled: jobState.status === 'STOPPING',
+                onClick: onStopHandler,
+              },
+              'Stop',
+            )
+          : React.createElement(
+              Button,
+              {
+                variant: 'primary',
+                disabled: !missingState,
+                onClick: () => onStartHandler({ limit, retryFailed }),
+              },
+              runState && runState.status !== 'finished' ? 'Continue' : 'Start',
+            ),
+      ),
+    );
+  };
+
+  /**
+   * Labels for the kinds of icon history entries.
+   */
+  const HISTORY_KINDS = {
+    replaced: 'Replaced',
+    saved: 'Generated',
+  };
+
+  /**
+   * Modal component for browsing and restoring the image history of an entity.
+   * @param {Object} props - The component props.
+   * @param {boolean} props.displayState - State to control modal visibility.
+   * @param {function} props.onCloseHandler - Function to handle modal close.
+   * @param {function} props.onRestoreHandler - Function to restore an entry.
+   * @param {Array} props.entriesState - The history entries, newest first.
+   * @param {boolean} props.loadingState - Whether the history is loading.
+   * @param {string} props.entityName - The name of the entity.
+   * @param {string} props.label - The label of the image kind, e.g. `Icon`.
+   * @returns {JSX.Element} - The rendered modal component.
+   */
+  const HistoryModal = ({
+    displayState,
+    onCloseHandler,
+    onRestoreHandler,
+    entriesState,
+    loadingState,
+    entityName,
+    label,
+  }) => {
+    /**
+     * History entry component for displaying a single archived icon.
+     * @param {Object} entry - The history entry.
+     * @returns {JSX.Element} - The rendered history entry component.
+     */
+    const historyEntry = entry =>
+      React.createElement(
+        'div',
+        {
+          key: entry.id,
+          className: 'd-flex align-items-center py-2 border-bottom',
+        },
+        React.createElement('img', {
+          src: getDataAssetUrl(entry.path),
+          alt: '',
+          style: { width: '64px', height: '64px', objectFit: 'contain' },
+          className: 'mr-3',
+        }),
+        React.createElement(
+          'div',
+          { className: 'flex-grow-1 text-truncate' },
+          React.createElement(
+            'div',
+            null,
+            new Date(entry.createdAt).toLocaleString(),
+            React.createElement(
+              Badge,
+              { className: 'ml-2', variant: 'secondary' },
+              HISTORY_KINDS[entry.kind] || entry.kind,
+            ),
+          ),
+          entry.prompt
+            ? React.createElement(
+                'small',
+                { className: 'd-block text-muted', title: entry.prompt },
+                entry.prompt,
+              )
+            : null,
+          entry.style
+            ? React.createElement(
+                'small',
+                { className: 'd-block text-muted' },
+                [entry.style, entry.subStyle].filter(Boolean).join(' / '),
+              )
+            : null,
+        ),
+        React.createElement(
+          Button,
+          {
+            variant: 'secondary',
+            className: 'ml-2',
+            disabled: loadingState,
+            onClick: () => onRestoreHandler(entry),
+          },
+          'Restore',
+        ),
+      );
+
+    return React.createElement(
+      Modal,
+      { show: displayState, onHide: onCloseHandler },
+      React.createElement(
+        Modal.Header,
+        { closeButton: true },
+        React.createElement(
+          Modal.Title,
+          null,
+          `${label} History: ${entityName}`,
+        ),
+      ),
+      React.createElement(
+        Modal.Body,
+        null,
+        loadingState
+          ? React.createElement(
+              'div',
+              { className: 'text-center' },
+              React.createElement(Spinner, {
+                animation: 'border',
+                role: 'status',
+              }),
+            )
+          : entriesState.length > 0
+            ? React.createElement(
+                'div',
+                { style: { maxHeight: '60vh', overflowY: 'auto' } },
+                entriesState.map(historyEntry),
+              )
+            : React.createElement(
+                'div',
+                { className: 'text-center text-muted' },
+                `No ${label.toLowerCase()} history yet.`,
+              ),
+      ),
+      React.createElement(
+        Modal.Footer,
+        null,
+        React.createElement(
+          Button,
+          { variant: 'secondary', onClick: onCloseHandler },
+          'Close',
+        ),
+      ),
+    );
+  };
+
+  /**
+   * The settings edited in the settings modal, with their labels.
+   */
+  const PROMPT_TEMPLATE_SETTINGS = Object.values(ENTITY_TYPES).map(type => ({
+    key: type.promptSetting,
+    label: `${type.label} Prompt Template`,
+    placeholder: type.defaultPrompt,
+  }));
+
+  /**
+   * Form component for creating a custom Recraft style from reference images.
+   * @param {Object} props - The component props.
+   * @param {string} props.defaultStyle - The preselected base style.
+   * @param {Array<string>} props.styles - The base styles of the selected model.
+   * @param {function} props.onCancelHandler - Function to leave the form.
+   * @param {function} props.onCreateHandler - Receives the created style.
+   * @returns {JSX.Element} - The rendered form component.
+   * @description Reference images are picked from the tag icons in the library,
+   * or uploaded from disk. Recraft accepts up to 5 images per style.
+   */
+  const CreateStyleForm = ({
+    defaultStyle,
+    styles,
+    onCancelHandler,
+    onCreateHandler,
+  }) => {
+    const [name, setName] = React.useState('');
+    const [baseStyle, setBaseStyle] = React.useState(
+      styles.includes(defaultStyle) ? defaultStyle : styles[0],
+    );
+    const [query, setQuery] = React.useState('');
+    const [tags, setTags] = React.useState([]);
+    const [tagsLoading, setTagsLoading] = React.useState(false);
+    const [selected, setSelected] = React.useState([]);
+    const [creating, setCreating] = React.useState(false);
+    const [stage, setStage] = React.useState(null);
+    const [error, setError] = React.useState(null);
+    const uploadsRef = React.useRef(new Set());
+
+    /**
+     * Loads the tags with an icon matching the search query.
+     * @returns {Promise<void>}
+     */
+    const loadTags = async () => {
+      setTagsLoading(true);
+      setError(null);
+      try {
+        const found = await findTags({
+          q: query,
+          tagFilter: { NOT: { is_missing: 'image' } },
+          perPage: MAX_STYLE_LIBRARY_IMAGES,
+        });
+        setTags(
+          found.filter(
+            tag => tag.image_path && !isDefaultImage(tag.image_path),
+          ),
+        );
+      } catch (e) {
+        setError(e.message || `${e}`);
+        console.error('Failed to load tags:', e);
+      } finally {
+        setTagsLoading(false);
+      }
+    };
+
+    React.useEffect(() => {
+      loadTags();
+      const uploads = uploadsRef.current;
+      return () => {
+        uploads.forEach(url => URL.revokeObjectURL(url));
+        uploads.clear();
+      };
+    }, []);
+
+    /**
+     * Selects or deselects a reference image.
+     * @param {string} url - The URL of the image.
+     * @returns {void}
+     */
+    const toggleImage = url => {
+      if (selected.includes(url) && uploadsRef.current.has(url)) {
+        // Deselecting an upload removes it, so its object URL is no longer needed
+        uploadsRef.current.delete(url);
+        URL.revokeObjectURL(url);
+      }
+      setSelected(prev =>
+        prev.includes(url)
+          ? prev.filter(item => item !== url)
+          : prev.length < MAX_STYLE_IMAGES
+            ? [...prev, url]
+            : prev,
+      );
+    };
+
+    /**
+     * Adds uploaded files to the reference images.
+     * @param {FileList} files - The uploaded files.
+     * @returns {void}
+     */
+    const addFiles = files => {
+      const urls = Array.from(files)
+        .slice(0, Math.max(MAX_STYLE_IMAGES - selected.length, 0))
+        .map(file => URL.createObjectURL(file));
+      urls.forEach(url => uploadsRef.current.add(url));
+      setSelected(prev => [...prev, ...urls]);
+    };
+
+    /**
+     * Creates the style from the selected images.
+     * @returns {Promise<void>}
+     */
+    const createStyle = async () => {
+      setCreating(true);
+      setError(null);
+      try {
+        const style = await createCustomStyle(
+          { name: name.trim(), style: baseStyle, imageUrls: selected },
+          update => setStage(update.stage),
+        );
+        onCreateHandler(style);
+      } catch (e) {
+        setError(e.message || `${e}`);
+        console.error('Failed to create style:', e);
+      }
+      setStage(null);
+      setCreating(false);
+    };
+
+    /**
+     * Renders a selectable reference image.
+     * @param {string} url - The URL of the image.
+     * @param {string} title - The title of the image.
+     * @returns {JSX.Element} - The rendered image card.
+     */
+    const imageCard = (url, title) =>
+      React.createElement(
+        'div',
+        {
+          key: url,
+          className:
+            'card m-1 p-1 ' +
+            (selected.includes(url)
+              ? 'border border-primary'
+              : 'border border-secondary'),
+          style: { width: '64px', cursor: 'pointer' },
+          title,
+          onClick: () => toggleImage(url),
+        },
+        React.createElement('img', {
+          src: url,
+          alt: title,
+          style: { width: '100%', height: '52px', objectFit: 'contain' },
+        }),
+      );
+
+    const uploads = selected.filter(url => url.startsWith('blob:'));
+
+    return React.createElement(
+      'div',
+      null,
+      React.createElement(
+        'div',
+        { className: 'form-row' },
+        React.createElement(
+          'div',
+          { className: 'form-group col-md-6' },
+          React.createElement('label', { for: 'recraft-style-name' }, 'Name'),
+          React.createElement('input', {
+            id: 'recraft-style-name',
+            className: 'text-input form-control',
+            type: 'text',
+            placeholder: 'House style',
+            value: name,
+            onChange: e => setName(e.target.value),
+          }),
+        ),
+        React.createElement(
+          'div',
+          { className: 'form-group col-md-6' },
+          React.createElement(
+            'label',
+            { for: 'recraft-style-base' },
+            'Base Style',
+          ),
+          React.createElement(
+            'select',
+            {
+              id: 'recraft-style-base',
+              className: 'form-control',
+              value: baseStyle,
+              onChange: e => setBaseStyle(e.target.value),
+            },
+            styles.map(option =>
+              React.createElement(
+                'option',
+                { key: option, value: option },
+                option.replace(/_/g, ' '),
+              ),
+            ),
+          ),
+        ),
+      ),
+      React.createElement(
+        'div',
+        { className: 'input-group mb-2' },
+        React.createElement('input', {
+          className: 'text-input form-control',
+          type: 'text',
+          placeholder: 'Search tag icons',
+          value: query,
+          onChange: e => setQuery(e.target.value),
+          onKeyDown: e => e.key === 'Enter' && loadTags(),
+        }),
+        React.createElement(
+          'div',
+          { className: 'input-group-append' },
+          React.createElement(
+            Button,
+            { variant: 'secondary', onClick: loadTags },
+            'Search',
+          ),
+        ),
+      ),
+      React.createElement(
+        'div',
+        {
+          className: 'd-flex flex-wrap mb-2',
+          style: { maxHeight: '40vh', overflowY: 'auto' },
+        },
+        tagsLoading
+          ? React.createElement(Spinner, { animation: 'border', size: 'sm' })
+          : tags.map(tag => imageCard(tag.image_path, tag.name)),
+        uploads.map((url, index) => imageCard(url, `Upload ${index + 1}`)),
+      ),
+      React.createElement(
+        'div',
+        { className: 'd-flex align-items-center mb-2' },
+        React.createElement('input', {
+          className: 'form-control-file',
+          type: 'file',
+          accept: 'image/*',
+          multiple: true,
+          onChange: e => addFiles(e.target.files),
+        }),
+        React.createElement(
+          'span',
+          { className: 'text-muted text-nowrap ml-2' },
+          `${selected.length} / ${MAX_STYLE_IMAGES} selected`,
+        ),
+      ),
+      error &&
+        React.createElement(
+          'div',
+          { className: 'alert alert-danger' },
+          `Failed to create style: ${error}`,
+        ),
+      React.createElement(
+        'div',
+        { className: 'd-flex justify-content-end' },
+        creating &&
+          React.createElement(
+            'span',
+            { className: 'mr-auto d-flex align-items-center' },
+            React.createElement(Spinner, {
+              animation: 'border',
+              size: 'sm',
+              className: 'mr-2',
+            }),
+            JOB_STAGES[stage] || 'Preparing images...',
+          ),
+        React.createElement(
+          Button,
+          {
+            variant: 'secondary',
+            className: 'mr-2',
+            disabled: creating,
+            onClick: onCancelHandler,
+          },
+          'Back',
+        ),
+        React.createElement(
+          Button,
+          {
+            variant: 'primary',
+            disabled: creating || !name.trim() || selected.length === 0,
+            onClick: createStyle,
+          },
+          'Create Style',
+        ),
+      ),
+    );
+  };
+
+  /**
+   * Modal component for editing the plugin settings.
+   * @param {Object} props - The component props.
+   * @param {boolean} props.displayState - Whether the modal is displayed.
+   * @param {function} props.onCloseHandler - Function to close the modal.
+   * @param {function} props.onSaveHandler - Receives the saved settings, also when a
+   * new custom style is saved while the modal stays open.
+   * @param {Object} props.settingsState - The current plugin settings.
+   * @returns {JSX.Element} - The rendered modal component.
+   */
+  const SettingsModal = ({
+    displayState,
+    onCloseHandler,
+    onSaveHandler,
+    settingsState,
+  }) => {
+    const Toast = useToast();
+    const [values, setValues] = React.useState({});
+    const [showKey, setShowKey] = React.useState(false);
+    const [saving, setSaving] = React.useState(false);
+    const [testing, setTesting] = React.useState(false);
+    const [testResult, setTestResult] = React.useState(null);
+    const [creatingStyle, setCreatingStyle] = React.useState(false);
+    const [usage, setUsage] = React.useState(null);
+
+    React.useEffect(() => {
+      if (displayState) {
+        setValues(getSettingsValues(settingsState));
+        setShowKey(false);
+        setTestResult(null);
+        setCreatingStyle(false);
+        setUsage(null);
+        fetchUsageSummary(settingsState).then(setUsage);
+      }
+    }, [displayState]);
+
+    const errors = validateSettings(values);
+    const valid = Object.keys(errors).length === 0;
+    const model = getRecraftModel(values.recraftTagIconModel);
+    const provider = getIconProvider(values);
+    const sizes = getProviderSizes(values);
+    const modelStyles = model.styles;
+    const subStyles = modelStyles[values.recraftTagIconStyle] || [];
+
+    /**
+     * Updates a setting value.
+     * @param {string} key - The setting key.
+     * @param {string} value - The new value.
+     * @returns {void}
+     */
+    const setValue = (key, value) => {
+      setValues(prev => {
+        const next = { ...prev, [key]: value };
+        const nextModel = getRecraftModel(next.recraftTagIconModel);
+        // Keep the style, sub-style and size within what the model accepts
+        if (
+          key === 'recraftTagIconModel' &&
+          !(next.recraftTagIconStyle in nextModel.styles)
+        ) {
+          next.recraftTagIconStyle = Object.keys(nextModel.styles)[0];
+        }
+        if (
+          !(nextModel.styles[next.recraftTagIconStyle] || []).includes(
+            next.recraftTagIconSubStyle,
+          )
+        ) {
+          next.recraftTagIconSubStyle = '';
+        }
+        const nextSizes = getProviderSizes(next);
+        if (
+          (key === 'recraftTagIconModel' || key === 'recraftIconProvider') &&
+          !nextSizes.includes(next.recraftTagIconSize)
+        ) {
+          next.recraftTagIconSize = nextSizes[0];
+        }
+        return next;
+      });
+      setTestResult(null);
+    };
+
+    /**
+     * Saves the settings to the plugin configuration.
+     * @returns {Promise<void>}
+     */
+    const saveSettings = async () => {
+      setSaving(true);
+      try {
+        const saved = await savePluginSettings({
+          ...values,
+          recraftCustomStyles: JSON.stringify(values.recraftCustomStyles),
+        });
+        Toast.success('Saved Recraft settings');
+        onSaveHandler(saved);
+        onCloseHandler();
+      } catch (e) {
+        Toast.error(`Failed to save settings: ${e.message}`);
+        console.error('Failed to save settings:', e);
+      }
+      setSaving(false);
+    };
+
+    /**
+     * Adds a created style to the list and selects it. The list is saved right
+     * away, so the style is kept even if the other changes are discarded.
+     * @param {Object} style - The created style.
+     * @returns {Promise<void>}
+     */
+    const addCustomStyle = async style => {
+      const styles = [...(values.recraftCustomStyles || []), style];
+      setValues(prev => ({
+        ...prev,
+        recraftCustomStyles: styles,
+        recraftTagIconStyleId: style.id,
+      }));
+      setCreatingStyle(false);
+      try {
+        const saved = await savePluginSettings({
+          recraftCustomStyles: JSON.stringify(styles),
+        });
+        onSaveHandler(saved);
+        Toast.success(`Created style: ${style.name}`);
+      } catch (e) {
+        Toast.error(`Failed to save style ${style.name}: ${e.message}`);
+        console.error('Failed to save style:', e);
+      }
+    };
+
+    /**
+     * Removes the selected custom style from the list.
+     * @returns {void}
+     */
+    const removeCustomStyle = () => {
+      setValues(prev => ({
+        ...prev,
+        recraftCustomStyles: (prev.recraftCustomStyles || []).filter(
+          style => style.id !== prev.recraftTagIconStyleId,
+        ),
+        recraftTagIconStyleId: '',
+      }));
+    };
+
+    /**
+     * Renders the custom style picker.
+     * @returns {JSX.Element} - The rendered form group.
+     */
+    const customStyleField = () => {
+      const styles = values.recraftCustomStyles || [];
+      const styleId = values.recraftTagIconStyleId || '';
+      const listed = styles.some(style => style.id === styleId);
+      return React.createElement(
+        'div',
+        { className: 'form-group' },
+        React.createElement(
+          'label',
+          { for: 'recraft-recraftTagIconStyleId' },
+          'Custom Style',
+        ),
+        React.createElement(
+          'div',
+          { className: 'input-group' },
+          React.createElement(
+            'select',
+            {
+              id: 'recraft-recraftTagIconStyleId',
+              className: `form-control${
+                errors.recraftTagIconStyleId ? ' is-invalid' : ''
+              }`,
+              value: styleId,
+              onChange: e => setValue('recraftTagIconStyleId', e.target.value),
+            },
+            React.createElement(
+              'option',
+              { value: '' },
+              'None, use the style and sub-style',
+            ),
+            styles.map(style =>
+              React.createElement(
+                'option',
+                { key: style.id, value: style.id },
+                `${style.name} (${(style.style || '').replace(/_/g, ' ')})`,
+              ),
+            ),
+            styleId &&
+              !listed &&
+              React.createElement(
+                'option',
+                { value: styleId },
+                `Unnamed (${styleId})`,
+              ),
+          ),
+          React.createElement(
+            'div',
+            { className: 'input-group-append' },
+            React.createElement(
+              Button,
+              {
+                variant: 'secondary',
+                disabled: !listed,
+                onClick: removeCustomStyle,
+              },
+              'Remove',
+            ),
+            React.createElement(
+              Button,
+              {
+                variant: 'secondary',
+                disabled: !settingsState.recraftApiKey,
+                title: 'Uses the saved API key',
+                onClick: () => setCreatingStyle(true),
+              },
+              'Create Style',
+            ),
+          ),
+        ),
+        feedback('recraftTagIconStyleId'),
+      );
+    };
+
+    /**
+     * Generates a single test image with the unsaved settings.
+     * @returns {Promise<void>}
+     */
+    const runTest = async () => {
+      setTesting(true);
+      setTestResult(null);
+      try {
+        const imageUrl = await testConnection(values);
+        setTestResult({ ok: true, imageUrl });
+      } catch (e) {
+        setTestResult({ ok: false, message: e.message || `${e}` });
+        console.error('Connection test failed:', e);
+      }
+      setTesting(false);
+    };
+
+    /**
+     * Renders the validation message of a setting.
+     * @param {string} key - The setting key.
+     * @returns {JSX.Element|null} - The rendered message.
+     */
+    const feedback = key =>
+      errors[key]
+        ? React.createElement(
+            'div',
+            { className: 'invalid-feedback d-block' },
+            errors[key],
+          )
+        : null;
+
+    /**
+     * Renders a text input for a setting.
+     * @param {string} key - The setting key.
+     * @param {string} label - The label of the input.
+     * @param {Object} [props={}] - Additional input props.
+     * @returns {JSX.Element} - The rendered form group.
+     */
+    const textField = (key, label, props = {}) =>
+      React.createElement(
+        'div',
+        { className: 'form-group' },
+        React.createElement('label', { for: `recraft-${key}` }, label),
+        React.createElement('input', {
+          id: `recraft-${key}`,
+          className: `text-input form-control${errors[key] ? ' is-invalid' : ''}`,
+          type: 'text',
+          value: values[key] ?? '',
+          onChange: e => setValue(key, e.target.value),
+          ...props,
+        }),
+        feedback(key),
+      );
+
+    /**
+     * Renders a select for a setting.
+     * @param {string} key - The setting key.
+     * @param {string} label - The label of the select.
+     * @param {Array<string>} options - The valid values.
+     * @param {string|null} [emptyLabel=null] - The label of an empty option, if allowed.
+     * @param {function} [optionLabel] - Returns the label of an option.
+     * @returns {JSX.Element} - The rendered form group.
+     */
+    const selectField = (
+      key,
+      label,
+      options,
+      emptyLabel = null,
+      optionLabel = option => option.replace(/_/g, ' '),
+    ) =>
+      React.createElement(
+        'div',
+        { className: 'form-group col-md-6' },
+        React.createElement('label', { for: `recraft-${key}` }, label),
+        React.createElement(
+          'select',
+          {
+            id: `recraft-${key}`,
+            className: `form-control${errors[key] ? ' is-invalid' : ''}`,
+            value: values[key] ?? '',
+            onChange: e => setValue(key, e.target.value),
+          },
+          emptyLabel !== null &&
+            React.createElement('option', { value: '' }, emptyLabel),
+          options.map(option =>
+            React.createElement(
+              'option',
+              { key: option, value: option },
+              optionLabel(option),
+            ),
+          ),
+        ),
+        feedback(key),
+      );
+
+    /**
+     * Renders a masked API key input.
+     * @param {string} key - The setting key.
+     * @param {string} label - The label of the input.
+     * @returns {JSX.Element} - The rendered form group.
+     */
+    const apiKeyField = (key, label) =>
+      React.createElement(
+        'div',
+        { className: 'form-group' },
+        React.createElement('label', { for: `recraft-${key}` }, label),
+        React.createElement(
+          'div',
+          { className: 'input-group' },
+          React.createElement('input', {
+            id: `recraft-${key}`,
+            className: `text-input form-control${
+              errors[key] ? ' is-invalid' : ''
+            }`,
+            type: showKey ? 'text' : 'password',
+            autoComplete: 'off',
+            value: values[key] ?? '',
+            onChange: e => setValue(key, e.target.value),
+          }),
+          React.createElement(
+            'div',
+            { className: 'input-group-append' },
+            React.createElement(
+              Button,
+              { variant: 'secondary', onClick: () => setShowKey(!showKey) },
+              showKey ? 'Hide' : 'Show',
+            ),
+          ),
+        ),
+        feedback(key),
+      );
+
+    /**
+     * Renders the connection settings of the selected provider.
+     * @returns {Array<JSX.Element>} - The rendered form groups.
+     */
+    const providerFields = () =>
+      provider.settings.map(key => {
+        const setting = PROVIDER_SETTINGS[key];
+        return React.createElement(
+          React.Fragment,
+          { key },
+          setting.secret
+            ? apiKeyField(key, setting.label)
+            : textField(key, setting.label, {
+                placeholder:
+                  provider.placeholders[key] || setting.placeholder || '',
+              }),
+        );
+      });
+
+    /**
+     * Renders the outcome of the connection test.
+     * @returns {JSX.Element|null} - The rendered test result.
+     */
+    const testMessage = () => {
+      if (testing) {
+        return React.createElement(
+          'div',
+          { className: 'd-flex align-items-center' },
+          React.createElement(Spinner, {
+            animation: 'border',
+            size: 'sm',
+            className: 'mr-2',
+          }),
+          'Generating a test image...',
+        );
+      }
+      if (!testResult) {
+        return null;
+      }
+      if (!testResult.ok) {
+        return React.createElement(
+          'div',
+          { className: 'alert alert-danger mb-0' },
+          `Connection failed: ${testResult.message}`,
+        );
+      }
+      return React.createElement(
+        'div',
+        { className: 'alert alert-success d-flex align-items-center mb-0' },
+        React.createElement('img', {
+          src: testResult.imageUrl,
+          alt: 'Test image',
+          className: 'mr-3',
+          style: { width: '48px', height: '48px', objectFit: 'contain' },
+        }),
+        'Connection works.',
+      );
+    };
+
+    return React.createElement(
+      Modal,
+      { show: displayState, onHide: onCloseHandler, size: 'lg' },
+      React.createElement(
+        Modal.Header,
+        { closeButton: true },
+        React.createElement(
+          Modal.Title,
+          null,
+          creatingStyle ? 'Create Style' : 'Recraft Settings',
+        ),
+      ),
+      React.createElement(
+        Modal.Body,
+        null,
+        creatingStyle
+          ? React.createElement(CreateStyleForm, {
+              defaultStyle: values.recraftTagIconStyle,
+              styles: Object.keys(modelStyles),
+              onCancelHandler: () => setCreatingStyle(false),
+              onCreateHandler: addCustomStyle,
+            })
+          : React.createElement(
+              React.Fragment,
+              null,
+              React.createElement(
+                'div',
+                { className: 'form-row' },
+                selectField(
+                  'recraftIconProvider',
+                  'Provider',
+                  Object.keys(ICON_PROVIDERS),
+                  null,
+                  key => ICON_PROVIDERS[key].label,
+                ),
+              ),
+              providerFields(),
+              React.createElement(
+                'div',
+                { className: 'form-row' },
+                provider.models &&
+                  selectField(
+                    'recraftTagIconModel',
+                    'Model',
+                    Object.keys(RECRAFT_MODELS),
+                  ),
+                selectField('recraftTagIconSize', 'Size', sizes),
+              ),
+              provider.styles &&
+                React.createElement(
+                  'div',
+                  { className: 'form-row' },
+                  selectField(
+                    'recraftTagIconStyle',
+                    'Style',
+                    Object.keys(modelStyles),
+                    'None',
+                  ),
+                  selectField(
+                    'recraftTagIconSubStyle',
+                    'Sub-Style',
+                    subStyles,
+                    'None',
+                  ),
+                ),
+              provider.styles && customStyleField(),
+              React.createElement(
+                'div',
+                { className: 'form-row' },
+                selectField('recraftTagIconFormat', 'Format', RECRAFT_FORMATS),
+                selectField(
+                  'recraftTagIconPalette',
+                  'Default Palette',
+                  parsePalettes(settingsState.recraftColorPalettes).map(
+                    palette => palette.name,
+                  ),
+                  'None',
+                ),
+              ),
+              React.createElement(
+                'div',
+                { className: 'form-row' },
+                React.createElement(
+                  'div',
+                  { className: 'col-md-6' },
+                  textField('recraftTagIconCount', 'Variations', {
+                    type: 'number',
+                    min: 1,
+                    max: MAX_RECRAFT_COUNT,
+                  }),
+                ),
+                React.createElement(
+                  'div',
+                  { className: 'col-md-6' },
+                  textField(
+                    'recraftTagIconReferenceStrength',
+                    'Parent Icon Strength',
+                    {
+                      type: 'number',
+                      min: 0,
+                      max: 1,
+                      step: 0.05,
+                    },
+                  ),
+                ),
+              ),
+              provider.credits &&
+                React.createElement(
+                  'div',
+                  { className: 'form-row' },
+                  React.createElement(
+                    'div',
+                    { className: 'col-md-6' },
+                    textField('recraftMonthlyBudget', 'Monthly Image Budget', {
+                      type: 'number',
+                      min: 0,
+                      placeholder: 'No limit',
+                    }),
+                  ),
+                  selectField(
+                    'recraftBudgetMode',
+                    'Over Budget',
+                    Object.keys(BUDGET_MODES),
+                    null,
+                    key => BUDGET_MODES[key],
+                  ),
+                ),
+              React.createElement(
+                'div',
+                { className: 'form-row' },
+                React.createElement(
+                  'div',
+                  { className: 'col-md-6' },
+                  textField('recraftCacheMaxAge', 'Cache Days', {
+                    type: 'number',
+                    min: 0,
+                    title:
+                      'How long generated icons are offered again, 0 turns the cache off',
+                  }),
+                ),
+                React.createElement(
+                  'div',
+                  { className: 'col-md-6' },
+                  textField('recraftCacheMaxEntries', 'Cache Size', {
+                    type: 'number',
+                    min: 0,
+                    title: 'The number of prompts icons are cached for',
+                  }),
+                ),
+              ),
+              PROMPT_TEMPLATE_SETTINGS.map(setting =>
+                React.createElement(
+                  React.Fragment,
+                  { key: setting.key },
+                  textField(setting.key, setting.label, {
+                    placeholder: setting.placeholder,
+                  }),
+                ),
+              ),
+              testMessage(),
+            ),
+      ),
+      !creatingStyle &&
+        React.createElement(
+          Modal.Footer,
+          null,
+          React.createElement(
+            Button,
+            {
+              variant: 'secondary',
+              className: 'mr-3',
+              disabled: !valid || testing || saving,
+              title: provider.credits
+                ? 'Generates one image, which uses API credits'
+                : 'Generates one image',
+              onClick: runTest,
+            },
+            'Test Connection',
+          ),
+          React.createElement(UsageSummary, {
+            usageState: usage,
+            className: 'mr-auto',
+          }),
+          React.createElement(
+            Button,
+            { variant: 'secondary', onClick: onCloseHandler },
+            'Close',
+          ),
+          React.createElement(
+            Button,
+            {
+              variant: 'primary',
+              disabled: !valid || saving,
+              onClick: saveSettings,
+            },
+            saving ? 'Saving...' : 'Save',
+          ),
+        ),
+    );
+  };
+
+  /**
+   * Parses a candidate count, clamped to the range the Recraft API accepts.
+   * @param {string|number} value - The count to parse.
+   * @returns {number} The parsed count.
+   */
+  const parseCount = function (value) {
+    const count = parseInt(value, 10);
+    if (isNaN(count)) {
+      return DEFAULT_RECRAFT_COUNT;
+    }
+    return Math.min(Math.max(count, 1), MAX_RECRAFT_COUNT);
+  };
+
+  /**
+   * Returns the settings edited in the settings modal, normalized for the form.
+   * @param {Object} settings - The plugin settings.
+   * @returns {Object} The settings values.
+   */
+  const getSettingsValues = function (settings) {
+    const { width, height } = parseSize(settings.recraftTagIconSize);
+    const values = {
+      recraftIconProvider:
+        settings.recraftIconProvider || DEFAULT_ICON_PROVIDER,
+      recraftApiKey: settings.recraftApiKey || '',
+      recraftApiUrl: settings.recraftApiUrl || DEFAULT_RECRAFT_API_URL,
+      recraftTagIconModel:
+        settings.recraftTagIconModel || DEFAULT_RECRAFT_MODEL,
+      recraftTagIconStyle: settings.recraftTagIconStyle || '',
+      recraftTagIconSubStyle: settings.recraftTagIconSubStyle || '',
+      recraftTagIconStyleId: settings.recraftTagIconStyleId || '',
+      recraftTagIconSize: `${width}x${height}`,
+      recraftTagIconFormat:
+        settings.recraftTagIconFormat || DEFAULT_RECRAFT_FORMAT,
+      recraftTagIconCount: `${parseCount(settings.recraftTagIconCount)}`,
+      recraftCustomStyles: parseCustomStyles(settings.recraftCustomStyles),
+      recraftTagIconPalette: settings.recraftTagIconPalette || '',
+      recraftMonthlyBudget: `${settings.recraftMonthlyBudget ?? ''}`,
+      recraftBudgetMode: settings.recraftBudgetMode || DEFAULT_BUDGET_MODE,
+      recraftCacheMaxAge: `${parseSettingInt(
+        settings.recraftCacheMaxAge,
+        DEFAULT_CACHE_MAX_AGE,
+      )}`,
+      recraftCacheMaxEntries: `${parseSettingInt(
+        settings.recraftCacheMaxEntries,
+        DEFAULT_CACHE_MAX_ENTRIES,
+      )}`,
+      recraftTagIconReferenceStrength: `${parseStrength(
+        settings.recraftTagIconReferenceStrength,
+      )}`,
+    };
+    Object.keys(PROVIDER_SETTINGS).forEach(key => {
+      if (!(key in values)) {
+        values[key] = settings[key] || '';
+      }
+    });
+    PROMPT_TEMPLATE_SETTINGS.forEach(setting => {
+      values[setting.key] = settings[setting.key] || '';
+    });
+    return values;
+  };
+
+  /**
+   * Validates the settings edited in the settings modal.
+   * @param {Object} values - The settings values.
+   * @returns {Object} Error messages keyed by setting, empty when valid.
+   */
+  const validateSettings = function (values) {
+    const errors = {};
+    if (!(values.recraftIconProvider in ICON_PROVIDERS)) {
+      errors.recraftIconProvider = 'Select a provider.';
+    }
+    const provider = getIconProvider(values);
+    provider.settings.forEach(key => {
+      const value = `${values[key] || ''}`.trim();
+      if (!value) {
+        if (provider.required.includes(key)) {
+          errors[key] = `${PROVIDER_SETTINGS[key].label} is required.`;
+        }
+      } else if (
+        PROVIDER_SETTINGS[key].url &&
+        !/^https?:\/\/\S+$/.test(value)
+      ) {
+        errors[key] = 'Enter an http(s) URL.';
+      }
+    });
+    if (provider.settings.includes('recraftComfyWorkflow')) {
+      if (values.recraftComfyWorkflow) {
+        try {
+          JSON.parse(values.recraftComfyWorkflow);
+        } catch (e) {
+          errors.recraftComfyWorkflow = 'Enter a workflow in the API format.';
+        }
+      } else if (!values.recraftBackendModel) {
+        errors.recraftBackendModel = 'Enter a checkpoint, or a workflow.';
+      }
+    }
+    const model = getRecraftModel(values.recraftTagIconModel);
+    if (provider.models && !(values.recraftTagIconModel in RECRAFT_MODELS)) {
+      errors.recraftTagIconModel = 'Select a model.';
+    }
+    // The style settings only apply to Recraft
+    if (provider.styles && !values.recraftTagIconStyleId) {
+      if (!(values.recraftTagIconStyle in model.styles)) {
+        errors.recraftTagIconStyle = `Select a style ${model.label} accepts.`;
+      } else if (
+        !supportsStyle(
+          values.recraftTagIconModel,
+          values.recraftTagIconStyle,
+          values.recraftTagIconSubStyle,
+        )
+      ) {
+        errors.recraftTagIconSubStyle = `Not a sub-style of ${values.recraftTagIconStyle}.`;
+      }
+    } else if (
+      provider.styles &&
+      !/^[0-9a-f-]{36}$/i.test(values.recraftTagIconStyleId)
+    ) {
+      errors.recraftTagIconStyleId = 'A style ID is a UUID.';
+    }
+    if (!getProviderSizes(values).includes(values.recraftTagIconSize)) {
+      errors.recraftTagIconSize = 'Select a size.';
+    }
+    if (!RECRAFT_FORMATS.includes(values.recraftTagIconFormat)) {
+      errors.recraftTagIconFormat = 'Select a format.';
+    }
+    const count = Number(values.recraftTagIconCount);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_RECRAFT_COUNT) {
+      errors.recraftTagIconCount = `Enter a number from 1 to ${MAX_RECRAFT_COUNT}.`;
+    }
+    const strength = Number(values.recraftTagIconReferenceStrength);
+    if (
+      values.recraftTagIconReferenceStrength === '' ||
+      isNaN(strength) ||
+      strength < 0 ||
+      strength > 1
+    ) {
+      errors.recraftTagIconReferenceStrength = 'Enter a number from 0 to 1.';
+    }
+    const budget = Number(values.recraftMonthlyBudget);
+    if (
+      `${values.recraftMonthlyBudget ?? ''}`.trim() !== '' &&
+      (!Number.isInteger(budget) || budget < 0)
+    ) {
+      errors.recraftMonthlyBudget = 'Enter a number of images, or nothing.';
+    }
+    if (!(values.recraftBudgetMode in BUDGET_MODES)) {
+      errors.recraftBudgetMode = 'Select what happens over budget.';
+    }
+    ['recraftCacheMaxAge', 'recraftCacheMaxEntries'].forEach(key => {
+      const number = Number(values[key]);
+      if (values[key] === '' || !Number.isInteger(number) || number < 0) {
+        errors[key] = 'Enter a number, 0 or more.';
+      }
+    });
+    return errors;
+  };
+
+  /**
+   * Parses the saved list of color palettes.
+   * @param {string|Array<Object>} value - The `recraftColorPalettes` setting, a JSON array.
+   * @returns {Array<{name: string, colors: Array<string>, background: string}>} The palettes.
+   */
+  const parsePalettes = function (value) {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    try {
+      const palettes = JSON.parse(value || '[]');
+      return Array.isArray(palettes)
+        ? palettes.filter(palette => palette.name)
+        : [];
+    } catch (e) {
+      console.warn('Invalid color palettes setting:', e);
+      return [];
+    }
+  };
+
+  /**
+   * Returns the default palette of the plugin settings.
+   * @param {Object} params - The plugin settings.
+   * @returns {{colors: Array<string>, background: string}} The palette, empty if none is set.
+   */
+  const getDefaultPalette = function (params) {
+    const palette = parsePalettes(params.recraftColorPalettes).find(
+      item => item.name === params.recraftTagIconPalette,
+    );
+    return {
+      colors: (palette && palette.colors) || [],
+      background: (palette && palette.background) || '',
+    };
+  };
+
+  /**
+   * Converts a CSS color to a hex color.
+   * @param {string} value - The CSS color, e.g. `rgb(19, 124, 189)` or `#137cbd`.
+   * @returns {string|null} The hex color, or null if it can't be read.
+   */
+  const cssColorToHex = function (value) {
+    const color = `${value || ''}`.trim();
+    if (/^#[0-9a-f]{6}$/i.test(color)) {
+      return color.toLowerCase();
+    }
+    const match = color.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/i);
+    if (!match) {
+      return null;
+    }
+    return (
+      '#' +
+      match
+        .slice(1, 4)
+        .map(channel => parseInt(channel, 10).toString(16).padStart(2, '0'))
+        .join('')
+    );
+  };
+
+  /**
+   * Returns a palette with the colors of the current Stash theme.
+   * @returns {{colors: Array<string>, background: string}} The palette.
+   * @description The colors are read from the Bootstrap color variables, and
+   * the background from the page body.
+   */
+  const getThemePalette = function () {
+    const style = getComputedStyle(document.documentElement);
+    const colors = ['--primary', '--secondary', '--success', '--info']
+      .map(variable => cssColorToHex(style.getPropertyValue(variable)))
+      .filter(Boolean);
+    return {
+      colors: [...new Set(colors)].slice(0, MAX_PALETTE_COLORS),
+      background:
+        cssColorToHex(getComputedStyle(document.body).backgroundColor) || '',
+    };
+  };
+
+  /**
+   * Returns the icon provider of the plugin settings.
+   * @param {Object} settings - The plugin settings.
+   * @returns {Object} The provider, a value of ICON_PROVIDERS, or the default provider if unknown.
+   */
+  const getIconProvider = function (settings) {
+    return (
+      ICON_PROVIDERS[settings.recraftIconProvider] ||
+      ICON_PROVIDERS[DEFAULT_ICON_PROVIDER]
+    );
+  };
+
+  /**
+   * Checks whether the configured provider can generate icons.
+   * @param {Object} settings - The plugin settings.
+   * @returns {boolean} True if the settings the provider requires are set.
+   */
+  const isProviderReady = function (settings) {
+    return getIconProvider(settings).required.every(key => settings[key]);
+  };
+
+  /**
+   * Returns the sizes the configured provider accepts.
+   * @param {Object} settings - The plugin settings.
+   * @returns {Array<string>} The sizes, as `<width>x<height>`.
+   */
+  const getProviderSizes = function (settings) {
+    return (
+      getIconProvider(settings).sizes ||
+      getRecraftModel(settings.recraftTagIconModel).sizes
+    );
+  };
+
+  /**
+   * Returns the capabilities of a Recraft model.
+   * @param {string} model - The model, a key of RECRAFT_MODELS.
+   * @returns {Object} The model, or the default model if unknown.
+   */
+  const getRecraftModel = function (model) {
+    return RECRAFT_MODELS[model] || RECRAFT_MODELS[DEFAULT_RECRAFT_MODEL];
+  };
+
+  /**
+   * Checks whether a model accepts a style and sub-style.
+   * @param {string} model - The model, a key of RECRAFT_MODELS.
+   * @param {string} style - The style.
+   * @param {string} [subStyle] - The sub-style, if any.
+   * @returns {boolean} True if the model accepts the combination.
+   */
+  const supportsStyle = function (model, style, subStyle) {
+    const styles = getRecraftModel(model).styles;
+    return style in styles && (!subStyle || styles[style].includes(subStyle));
+  };
+
+  /**
+   * Parses an image-to-image strength, clamped to the range the Recraft API accepts.
+   * @param {string|number} value - The strength to parse.
+   * @returns {number} The parsed strength.
+   */
+  const parseStrength = function (value) {
+    const strength = parseFloat(value);
+    if (isNaN(strength)) {
+      return DEFAULT_REFERENCE_STRENGTH;
+    }
+    return Math.min(Math.max(strength, 0), 1);
+  };
+
+  /**
+   * Normalizes an entity returned by `findEntityById` to the shape of a tag.
+   * @param {Object} entity - The entity.
+   * @returns {Object} The entity with `aliases` and `parents` arrays.
+   * @description Studios have a single parent studio and groups a studio, which
+   * become their parents. Group aliases are a comma separated string.
+   */
+  const normalizeEntity = function (entity) {
+    const aliases = Array.isArray(entity.aliases)
+      ? entity.aliases
+      : `${entity.aliases || ''}`
+          .split(',')
+          .map(alias => alias.trim())
+          .filter(Boolean);
+    const parents =
+      entity.parents || [entity.parent_studio, entity.studio].filter(Boolean);
+    return { ...entity, aliases, parents };
+  };
+
+  /**
+   * Returns the first parent of an entity that has an image of its own.
+   * @param {Object} [entity] - The entity, as returned by `normalizeEntity`.
+   * @returns {Object|null} The parent, with its `image_path`, or null.
+   */
+  const getReferenceParent = function (entity) {
+    return (
+      ((entity && entity.parents) || []).find(
+        parent => parent.image_path && !isDefaultImage(parent.image_path),
+      ) || null
+    );
+  };
+
+  /**
+   * Returns the name placeholder icons pick their shape by, so siblings match.
+   * @param {Object} [entity] - The entity, as returned by `normalizeEntity`.
+   * @returns {string} The name of the first parent, or empty.
+   */
+  const getIconGroup = function (entity) {
+    const [parent] = (entity && entity.parents) || [];
+    return (parent && parent.name) || '';
+  };
+
+  /**
+   * Renders a prompt template for an entity.
+   * @param {string} template - The template, with `{name}`, `{parents}`, `{aliases}`,
+   * `{description}` and, for performers, `{gender}` placeholders.
+   * @param {Object} entity - The entity, as returned by `normalizeEntity`.
+   * @returns {string} The rendered prompt.
+   * @description Placeholders without a value are removed together with the
+   * brackets and separators around them, so `{name} ({parents})` renders as
+   * just the name for a tag without parents.
+   */
+  const renderPromptTemplate = function (template, entity) {
+    const values = {
+      name: entity.name || '',
+      parents: (entity.parents || []).map(p => p.name).join(', '),
+      aliases: (entity.aliases || []).join(', '),
+      description: (entity.description || '').trim(),
+      gender: (entity.gender || '').toLowerCase().replace(/_/g, ' '),
+    };
+
+    return (template || DEFAULT_RECRAFT_PROMPT_TEMPLATE)
+      .replace(/\{(\w+)\}/g, (match, key) =>
+        key in values ? values[key] : match,
+      )
+      .replace(/\(\s*\)|\[\s*\]/g, '')
+      .replace(/\s*([,;:])(\s*[,;:])+/g, '$1')
+      .replace(/\s+([,;:])/g, '$1')
+      .replace(/\s{2,}/g, ' ')
+      .replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+  };
+
+  /**
+   * Returns the entity type and ID of a detail page path.
+   * @param {string} pathname - The path, e.g. `/tags/12`.
+   * @returns {{type: string, id: string}|null} The entity route, or null when not on a detail page.
+   */
+  const getEntityRoute = function (pathname) {
+    const result = pathname.match(/^\/(tags|studios|performers|groups)\/(\d+)/);
+    if (!result) {
+      return null;
+    }
+    const type = Object.keys(ENTITY_TYPES).find(
+      key => ENTITY_TYPES[key].path === result[1],
+    );
+    return { type, id: result[2] };
+  };
+
+  /**
+   * Checks whether a path is the tag list page.
+   * @param {string} pathname - The path.
+   * @returns {boolean} True for the tag list page.
+   */
+  const isTagListRoute = function (pathname) {
+    return /^\/tags\/?$/.test(pathname);
+  };
+
+  /**
+   * Returns the IDs of the tags selected on the tag list page.
+   * @returns {Array<string>} The selected tag IDs.
+   */
+  const getSelectedTagIds = function () {
+    const ids = [];
+    document.querySelectorAll('.tag-card').forEach(card => {
+      const check = card.querySelector('.card-check');
+      const link = card.querySelector('a[href*="/tags/"]');
+      if (check && check.checked && link) {
+        const match = link.getAttribute('href').match(/\/tags\/(\d+)/);
+        if (match) {
+          ids.push(match[1]);
+        }
+      }
+    });
+    return ids;
+  };
+
+  /**
+   * Returns the search text of the tag list page.
+   * @returns {string} The search text, or an empty string.
+   * @description Only the `q` parameter is read. The other criteria of the
+   * list filter are not applied, use the tag filter source for those.
+   */
+  const getSearchText = function () {
+    return new URLSearchParams(window.location.search).get('q') || '';
+  };
+
+  /**
+   * Checks whether the tag list page is filtered by more than its search text.
+   * @returns {boolean} True if the list has filter criteria, the `c` parameters.
+   */
+  const hasListCriteria = function () {
+    return new URLSearchParams(window.location.search).has('c');
+  };
+
+  /**
+   * Creates a unique ID for correlating a plugin task with its result.
+   * @returns {string} - The request ID.
+   */
+  const createRequestId = function () {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  };
+
+  /**
+   * Returns the URL of a file in the plugin data directory.
+   * @param {string} path - The path relative to the data directory.
+   * @returns {string} - The asset URL.
+   */
+  const getDataAssetUrl = function (path) {
+    return `/plugin/${PLUGIN_ID}/assets/data/${path}`;
+  };
+
+  /**
+   * Reads the result a plugin task wrote for a request.
+   * @param {string} requestId - The ID of the request.
+   * @returns {Promise<Object>} - A promise that resolves with the result.
+   * @throws {Error} If there is no result, or the result is an error.
+   */
+  const fetchJobResult = async requestId => {
+    const response = await fetch(getDataAssetUrl(`results/${requestId}.json`), {
+      cache: 'no-store',
+    });
+    if (!response.ok) {
+      throw new Error(`No result for request: ${requestId}`);
+    }
+    const result = await response.json();
+    if (result.requestId !== requestId) {
+      throw new Error(`Mismatched result for request: ${requestId}`);
+    }
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return result;
+  };
+
+  /**
+   * IDs of the jobs cancelled from the plugin UI.
+   */
+  const cancelledJobs = new Set();
+
+  /**
+   * Returns the generation stage for the state of a job.
+   * @param {Object|null} job - The job, or null if it has not been seen yet.
+   * @returns {string} - The stage, a key of JOB_STAGES.
+   */
+  const getJobStage = function (job) {
+    if (!job || job.status === 'READY') {
+      return 'queued';
+    }
+    if (job.status === 'STOPPING' || job.status === 'CANCELLED') {
+      return 'cancelling';
+    }
+    if (job.status === 'FINISHED' || job.progress >= PROGRESS_DOWNLOADING) {
+      return 'downloading';
+    }
+    return 'calling';
+  };
+
+  /**
+   * Cancels a plugin job.
+   * @param {string} jobId - The ID of the job.
+   * @returns {Promise<Object>} - A promise that resolves with the result of the stop mutation.
+   */
+  const cancelPluginJob = async jobId => {
+    cancelledJobs.add(jobId);
+    return stopJob(jobId);
+  };
+
+  /**
+   * Runs a plugin task and waits for its result.
+   * @param {string} taskName - The name of the task to run.
+   * @param {Object} [args={}] - The task arguments.
+   * @param {function} [onUpdate] - Receives `{ jobId, stage, progress }` as the job advances.
+   * @returns {Promise<Object>} - A promise that resolves with the task result.
+   * @throws {JobCancelledError} If the job is cancelled.
+   * @throws {Error} If the task fails or writes no result.
+   * @description A unique request ID is sent with the task arguments. The task
+   * writes its result to the plugin data directory under that ID, which is read
+   * back once the job has left the Stash job queue.
+   */
+  const runPluginJob = async (taskName, args = {}, onUpdate = null) => {
+    const requestId = createRequestId();
+    const payload = Object.entries({ ...args, requestId }).map(
+      ([key, value]) => ({ key, value: { str: `${value}` } }),
+    );
+
+    const result = await runPluginTask(PLUGIN_ID, taskName, payload);
+    const jobId = result?.runPluginTask;
+    if (!jobId) {
+      throw new Error(`Failed to start task: ${taskName}`);
+    }
+
+    const notify = job => {
+      if (onUpdate) {
+        onUpdate({
+          jobId,
+          stage: getJobStage(job),
+          progress: (job && job.progress) || 0,
+        });
+      }
+    };
+    notify(null);
+
+    const job = await waitForJob(jobId, 500, 2000, notify);
+    if (cancelledJobs.has(jobId) || (job && job.status === 'CANCELLED')) {
+      cancelledJobs.delete(jobId);
+      throw new JobCancelledError();
+    }
+    notify(job);
     try {
-      response = await fetch(recraftApiUrl, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${recraftApiKey}`,
-          'Content-Type': 'application/json',
-          Prefer: 'wait',
-        },
-        body: JSON.stringify({
-          size: `${recraftTagIconSize}x${recraftTagIconSize}`,
-          prompt: tagName,
-          style: recraftTagIconStyle,
-          sub_style: recraftTagIconSubStyle,
-          style_id: recraftTagIconStyleId,
-          model: 'recraftv2',
-        }),
+      return await fetchJobResult(requestId);
+    } catch (e) {
+      if (job && job.error) {
+        throw new Error(job.error);
+      }
+      throw e;
+    }
+  };
+
+  /**
+   * Saves settings to the plugin configuration, keeping the settings not given.
+   * @param {Object} values - The settings to save.
+   * @returns {Promise<Object>} - A promise that resolves with the saved configuration.
+   * @throws {Error} If the configuration could not be saved.
+   */
+  const savePluginSettings = async values => {
+    const config = (await getPluginConfig(PLUGIN_ID)) || {};
+    const result = await updatePluginConfig(PLUGIN_ID, {
+      ...config,
+      ...values,
+    });
+    if (result && result.configurePlugin) {
+      pluginSettings = Promise.resolve(result.configurePlugin);
+      return result.configurePlugin;
+    }
+    throw new Error('Failed to update plugin configuration');
+  };
+
+  /**
+   * Parses the saved list of custom styles.
+   * @param {string|Array<Object>} value - The `recraftCustomStyles` setting, a JSON array.
+   * @returns {Array<{id: string, name: string, style: string}>} The custom styles.
+   */
+  const parseCustomStyles = function (value) {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    try {
+      const styles = JSON.parse(value || '[]');
+      return Array.isArray(styles) ? styles.filter(style => style.id) : [];
+    } catch (e) {
+      console.warn('Invalid custom styles setting:', e);
+      return [];
+    }
+  };
+
+  /**
+   * Creates a custom Recraft style from reference images.
+   * @param {Object} options - The style options.
+   * @param {string} options.name - The name to list the style under.
+   * @param {string} options.style - The base style, e.g. `icon`.
+   * @param {Array<string>} options.imageUrls - The URLs of the reference images.
+   * @param {function} [onUpdate] - Receives `{ jobId, stage, progress }` as the job advances.
+   * @returns {Promise<{id: string, name: string, style: string}>} - A promise that resolves with the style.
+   * @throws {Error} If the style could not be created.
+   * @description The images are rendered to PNG first, since Recraft does not
+   * accept SVG references. The task uses the saved API key.
+   */
+  const createCustomStyle = async (
+    { name, style, imageUrls },
+    onUpdate = null,
+  ) => {
+    const images = await Promise.all(
+      imageUrls.map(async url => {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`Failed to download image: ${response.status}`);
+        }
+        return rasterizeImage(await response.blob(), 'png', {
+          width: STYLE_IMAGE_SIZE,
+          height: STYLE_IMAGE_SIZE,
+        });
+      }),
+    );
+    const result = await runPluginJob(
+      'Recraft Create Style',
+      { style, images: JSON.stringify(images) },
+      onUpdate,
+    );
+    return { id: result.id, name, style };
+  };
+
+  /**
+   * Generates a single image with the given settings, which need not be saved yet.
+   * @param {Object} values - The settings values.
+   * @returns {Promise<string>} - A promise that resolves with the URL of the test image.
+   * @throws {Error} If the generation fails.
+   */
+  const testConnection = async values => {
+    const saved = await loadPluginSettings();
+    /**
+     * Passes a secret only if it was changed, so saved keys don't travel as task arguments.
+     * @param {string} key - The setting key.
+     * @returns {string} The changed value, or empty to use the saved one.
+     */
+    const changedSecret = key =>
+      values[key] && values[key] !== saved[key] ? values[key] : '';
+    const result = await runPluginJob('Recraft Test Connection', {
+      provider: values.recraftIconProvider,
+      apiKey: changedSecret('recraftApiKey'),
+      apiUrl: values.recraftApiUrl,
+      backendUrl: values.recraftBackendUrl,
+      backendApiKey: changedSecret('recraftBackendApiKey'),
+      backendModel: values.recraftBackendModel,
+      backendPromptTemplate: values.recraftBackendPromptTemplate,
+      backendNegativePrompt: values.recraftBackendNegativePrompt,
+      comfyWorkflow: values.recraftComfyWorkflow,
+      model: values.recraftTagIconModel,
+      style: values.recraftTagIconStyle,
+      subStyle: values.recraftTagIconSubStyle,
+      styleId: values.recraftTagIconStyleId,
+      size: values.recraftTagIconSize,
+    });
+    const image = (result.images || [])[0];
+    if (!image) {
+      throw new Error('No image generated');
+    }
+    return image.path ? getDataAssetUrl(image.path) : image.url;
+  };
+
+  /**
+   * Reads the remaining credits of the Recraft account, with the saved API key.
+   * @returns {Promise<number>} - A promise that resolves with the credits.
+   * @throws {Error} If the account can't be read.
+   */
+  const fetchCredits = async () => {
+    const result = await runPluginJob('Recraft Account');
+    return result.credits;
+  };
+
+  /**
+   * Retrieves the usage log, newest first.
+   * @returns {Promise<Array<Object>>} - A promise that resolves with the entries, each
+   * with `createdAt`, `provider`, `operation`, `count` and, if known, `model`, `tag` and `prompt`.
+   */
+  const fetchUsage = async () => {
+    try {
+      const response = await fetch(getDataAssetUrl('usage.json'), {
+        cache: 'no-store',
       });
-    } catch (_e) {
-      Toast.error('Error fetching image:', _e);
-      console.error('Error fetching image:', _e);
+      if (!response.ok) {
+        return [];
+      }
+      return await response.json();
+    } catch (e) {
+      console.error('Failed to load usage:', e);
+      return [];
     }
+  };
 
-    const data = await response.json();
-    if (data.data && data.data.length > 0) {
-      const imageUrl = data.data[0].url;
-      console.log(`Got image URL for ${tagName}: ${imageUrl}`);
-      return imageUrl;
-    } else {
-      console.error('No image generated for:', tagName, data);
-      throw new Error(`No image generated for: ${tagName}`);
+  /**
+   * Counts the images the paid providers generated in the current month.
+   * @param {Array<Object>} entries - The usage log.
+   * @returns {number} The number of images.
+   */
+  const countMonthlyImages = function (entries) {
+    const now = new Date();
+    return entries
+      .filter(entry => {
+        const createdAt = new Date(entry.createdAt);
+        return (
+          ICON_PROVIDERS[entry.provider]?.credits &&
+          createdAt.getFullYear() === now.getFullYear() &&
+          createdAt.getMonth() === now.getMonth()
+        );
+      })
+      .reduce((sum, entry) => sum + (Number(entry.count) || 0), 0);
+  };
+
+  /**
+   * Parses the monthly image budget.
+   * @param {string|number} value - The `recraftMonthlyBudget` setting.
+   * @returns {number|null} The budget, or null for no limit.
+   */
+  const parseBudget = function (value) {
+    const budget = parseInt(value, 10);
+    return isNaN(budget) || budget < 0 ? null : budget;
+  };
+
+  /**
+   * Retrieves the credits and monthly usage shown with the generation controls.
+   * @param {Object} params - The plugin settings.
+   * @returns {Promise<{credits: number|null, used: number, budget: number|null}>} - A promise
+   * that resolves with the usage. The credits are only read for Recraft, and are null if they
+   * can't be.
+   */
+  const fetchUsageSummary = async params => {
+    let credits = null;
+    if (
+      params.recraftApiKey &&
+      getIconProvider(params) === ICON_PROVIDERS.recraft
+    ) {
+      try {
+        credits = await fetchCredits();
+      } catch (e) {
+        console.error('Failed to read the Recraft credits:', e);
+      }
+    }
+    return {
+      credits,
+      used: countMonthlyImages(await fetchUsage()),
+      budget: parseBudget(params.recraftMonthlyBudget),
+    };
+  };
+
+  /**
+   * Checks a generation against the monthly image budget.
+   * @param {Object} params - The plugin settings.
+   * @param {number} count - The number of images the generation makes.
+   * @returns {Promise<string|null>} - A promise that resolves with null if the generation
+   * may run, or the reason it may not.
+   * @description Only the paid providers count. Over the budget, the user is asked
+   * to go ahead, or the generation is refused, depending on `recraftBudgetMode`.
+   */
+  const checkBudget = async (params, count) => {
+    const budget = parseBudget(params.recraftMonthlyBudget);
+    if (budget === null || !getIconProvider(params).credits) {
+      return null;
+    }
+    const used = countMonthlyImages(await fetchUsage());
+    if (used + count <= budget) {
+      return null;
+    }
+    const message = `${used} of the ${budget} images budgeted this month are used, and this generates ${count} more.`;
+    if (
+      params.recraftBudgetMode !== 'refuse' &&
+      window.confirm(`${message} Generate anyway?`)
+    ) {
+      return null;
+    }
+    return `Over the monthly budget: ${message}`;
+  };
+
+  /**
+   * Parses a number setting, e.g. of the result cache.
+   * @param {string|number} value - The setting.
+   * @param {number} defaultValue - The value if the setting is empty or invalid.
+   * @returns {number} The number, at least 0.
+   */
+  const parseSettingInt = function (value, defaultValue) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? defaultValue : Math.max(number, 0);
+  };
+
+  /**
+   * Builds the key generated icons are cached under.
+   * @param {Object} params - The plugin settings.
+   * @param {string} tagName - The prompt.
+   * @param {boolean} abstractStyle - Whether to use abstract style.
+   * @param {Object} [palette] - The colors, `{ colors, background }`.
+   * @param {Object} [reference] - The image to generate from, `{ imageUrl, strength }`.
+   * @returns {string|null} The key, or null if the cache is off or the provider
+   * is the free placeholder.
+   * @description The key lists every option the provider uses, so icons are only
+   * offered again for the same prompt, model, style, size and modifiers.
+   */
+  const getCacheKey = function (
+    params,
+    tagName,
+    abstractStyle,
+    palette = null,
+    reference = null,
+  ) {
+    const provider = getIconProvider(params);
+    if (
+      provider === ICON_PROVIDERS.placeholder ||
+      parseSettingInt(params.recraftCacheMaxAge, DEFAULT_CACHE_MAX_AGE) === 0
+    ) {
+      return null;
+    }
+    const options = {
+      provider: params.recraftIconProvider || DEFAULT_ICON_PROVIDER,
+      prompt: tagName,
+      abstractStyle: Boolean(abstractStyle),
+      size: `${params.recraftTagIconSize || DEFAULT_RECRAFT_SIZE}`,
+    };
+    if (provider.models) {
+      options.model = params.recraftTagIconModel || DEFAULT_RECRAFT_MODEL;
+    }
+    if (provider.styles) {
+      options.style = params.recraftTagIconStyleId
+        ? ''
+        : params.recraftTagIconStyle || '';
+      options.subStyle = params.recraftTagIconStyleId
+        ? ''
+        : params.recraftTagIconSubStyle || '';
+      options.styleId = params.recraftTagIconStyleId || '';
+      options.colors = (palette && palette.colors) || [];
+      options.background = (palette && palette.background) || '';
+    }
+    [
+      'recraftBackendModel',
+      'recraftBackendPromptTemplate',
+      'recraftBackendNegativePrompt',
+      'recraftComfyWorkflow',
+    ]
+      .filter(key => provider.settings.includes(key))
+      .forEach(key => {
+        options[key] = params[key] || '';
+      });
+    if (reference && provider.references) {
+      options.reference = reference.imageUrl;
+      options.strength = parseStrength(reference.strength);
+    }
+    return JSON.stringify(options);
+  };
+
+  /**
+   * Looks up icons generated earlier with the same prompt and options.
+   * @param {Object} params - The plugin settings.
+   * @param {string|null} cacheKey - The key, as built by `getCacheKey`.
+   * @returns {Promise<{urls: Array<string>, updatedAt: string}|null>} - A promise that
+   * resolves with the cached icons, newest first, or null if there are none.
+   */
+  const findCachedIcons = async (params, cacheKey) => {
+    if (!cacheKey) {
+      return null;
+    }
+    let entries = [];
+    try {
+      const response = await fetch(getDataAssetUrl('cache/index.json'), {
+        cache: 'no-store',
+      });
+      if (response.ok) {
+        entries = await response.json();
+      }
+    } catch (e) {
+      console.error('Failed to load the result cache:', e);
+    }
+    const maxAge =
+      parseSettingInt(params.recraftCacheMaxAge, DEFAULT_CACHE_MAX_AGE) *
+      24 *
+      60 *
+      60 *
+      1000;
+    const entry = entries.find(item => item.key === cacheKey);
+    if (
+      !entry ||
+      !(entry.images || []).length ||
+      Date.now() - new Date(entry.updatedAt).getTime() > maxAge
+    ) {
+      return null;
+    }
+    return {
+      urls: entry.images.map(image => getDataAssetUrl(image.path)),
+      updatedAt: entry.updatedAt,
+    };
+  };
+
+  /**
+   * Parses the saved tag selections.
+   * @param {string|Array<Object>} value - The `recraftTagSelections` setting, a JSON array.
+   * @returns {Array<{name: string, selection: Object}>} The saved selections.
+   */
+  const parseTagSelections = function (value) {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    try {
+      const selections = JSON.parse(value || '[]');
+      return Array.isArray(selections)
+        ? selections.filter(item => item.name && item.selection)
+        : [];
+    } catch (e) {
+      console.warn('Invalid tag selections setting:', e);
+      return [];
+    }
+  };
+
+  /**
+   * Finds a tag by its exact name.
+   * @param {string} name - The name of the tag.
+   * @returns {Promise<Object|null>} - A promise that resolves with the tag, or null if there is none.
+   */
+  const findTagByName = async function (name) {
+    const tags = await findTags({
+      tagFilter: { name: { value: name, modifier: 'EQUALS' } },
+    });
+    return tags[0] || null;
+  };
+
+  /**
+   * Builds the Stash tag filter of a tag selection.
+   * @param {Object} selection - The selection, see DEFAULT_TAG_SELECTION.
+   * @param {boolean} selection.noImage - Only tags without an image.
+   * @param {string} selection.parent - Only children of the tag of this name.
+   * @param {boolean} selection.descendants - With the parent, all its descendants rather than its children.
+   * @param {string} selection.minScenes - Only tags with at least this many scenes.
+   * @param {string} selection.nameRegex - Only tags whose name matches this regular expression.
+   * @param {boolean} selection.favorite - Only favorite tags.
+   * @returns {Promise<Object>} - A promise that resolves with the filter.
+   * @throws {Error} If there is no tag of the parent name.
+   * @description The criteria are combined, so a tag has to match all of them.
+   */
+  const buildTagFilter = async function (selection) {
+    const tagFilter = {};
+    if (selection.noImage) {
+      tagFilter.is_missing = 'image';
+    }
+    if (`${selection.parent || ''}`.trim()) {
+      const parent = await findTagByName(selection.parent.trim());
+      if (!parent) {
+        throw new Error(`No tag named: ${selection.parent.trim()}`);
+      }
+      tagFilter.parents = {
+        value: [parent.id],
+        modifier: 'INCLUDES',
+        depth: selection.descendants ? -1 : 0,
+      };
+    }
+    const minScenes = parseInt(selection.minScenes, 10);
+    if (minScenes > 0) {
+      tagFilter.scene_count = {
+        value: minScenes - 1,
+        modifier: 'GREATER_THAN',
+      };
+    }
+    if (`${selection.nameRegex || ''}`.trim()) {
+      tagFilter.name = {
+        value: selection.nameRegex.trim(),
+        modifier: 'MATCHES_REGEX',
+      };
+    }
+    if (selection.favorite) {
+      tagFilter.favorite = true;
+    }
+    return tagFilter;
+  };
+
+  /**
+   * Counts the tags without an image.
+   * @returns {Promise<number>} - A promise that resolves with the number of tags.
+   */
+  const countMissingTagIcons = async function () {
+    const reqData = {
+      variables: {
+        filter: { per_page: 0 },
+        tag_filter: { is_missing: 'image' },
+      },
+      query: `query CountMissingTagIcons($filter: FindFilterType, $tag_filter: TagFilterType) {
+          findTags(filter: $filter, tag_filter: $tag_filter) {
+            count
+          }
+        }`,
+    };
+    const result = await csLib.callGQL(reqData);
+    return result?.findTags?.count || 0;
+  };
+
+  /**
+   * Retrieves the state of the last Generate Missing Tag Icons run.
+   * @returns {Promise<Object|null>} - A promise that resolves with the state, with
+   * `status`, `total`, `processed`, `applied`, `current` and `failed`, or null if
+   * the task never ran.
+   */
+  const fetchMissingIconsState = async () => {
+    try {
+      const response = await fetch(getDataAssetUrl('missing-icons.json'), {
+        cache: 'no-store',
+      });
+      return response.ok ? await response.json() : null;
+    } catch (e) {
+      console.error('Failed to load the missing icons state:', e);
+      return null;
+    }
+  };
+
+  /**
+   * Finds the running Generate Missing Tag Icons job, if any.
+   * @returns {Promise<Object|null>} - A promise that resolves with the job, or null.
+   * @description The job is found by its description in the job queue, so a
+   * run started in another browser, or before a reload, is found too.
+   */
+  const findMissingIconsJob = async () => {
+    const jobs = await getJobQueue();
+    return (
+      jobs.find(job => (job.description || '').includes(MISSING_ICONS_TASK)) ||
+      null
+    );
+  };
+
+  /**
+   * Retrieves the icons generated automatically and waiting for review.
+   * @returns {Promise<Array<Object>>} - A promise that resolves with the pending
+   * entries, newest first, each with `id`, `entityType`, `entityId`, `entityName`,
+   * `prompt` and `images`.
+   */
+  const fetchPendingIcons = async () => {
+    try {
+      const response = await fetch(getDataAssetUrl('pending/index.json'), {
+        cache: 'no-store',
+      });
+      return response.ok ? await response.json() : [];
+    } catch (e) {
+      console.error('Failed to load the pending icons:', e);
+      return [];
+    }
+  };
+
+  /**
+   * Returns the path of a data asset URL, relative to the plugin data directory.
+   * @param {string} url - The URL, as returned by `getDataAssetUrl`.
+   * @returns {string|null} The path, or null for other URLs.
+   */
+  const getDataAssetPath = function (url) {
+    const prefix = getDataAssetUrl('');
+    return url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  };
+
+  /**
+   * Stages generated icons for review, replacing the icons staged for the entity before.
+   * @param {Object} options - The icons.
+   * @param {string} options.entityType - The type of the entity.
+   * @param {string} options.entityId - The ID of the entity.
+   * @param {string} options.entityName - The name of the entity.
+   * @param {string} options.prompt - The prompt the icons were generated from.
+   * @param {Array<string>} options.urls - The URLs of the generated icons, in the plugin data directory.
+   * @returns {Promise<Object>} - A promise that resolves with the pending entry.
+   * @throws {Error} If an icon is not stored in the plugin data directory.
+   */
+  const stagePendingIcon = async ({
+    entityType,
+    entityId,
+    entityName,
+    prompt,
+    urls,
+  }) => {
+    const paths = urls.map(getDataAssetPath);
+    if (paths.some(path => !path)) {
+      throw new Error(`The icons of ${entityName} were not stored`);
     }
+    const result = await runPluginJob('Recraft Pending Icon', {
+      action: 'stage',
+      entityType,
+      entityId,
+      entityName,
+      prompt: prompt || '',
+      paths: paths.join(','),
+    });
+    return result.entry;
+  };
+
+  /**
+   * Removes reviewed icons from the pending icons.
+   * @param {Array<string>} pendingIds - The IDs of the pending entries.
+   * @returns {Promise<Array<Object>>} - A promise that resolves with the remaining entries.
+   */
+  const dismissPendingIcons = async pendingIds => {
+    const result = await runPluginJob('Recraft Pending Icon', {
+      action: 'dismiss',
+      pendingIds: pendingIds.join(','),
+    });
+    return result.entries;
   };
 
   /**
-   * Fetches the tag icon from the Recraft API and returns the image URL.
+   * Fetches the tag icon from the configured provider and returns the image URLs.
    * @param {Object} params - The parameters for the API request.
-   * @param {string} tagName - The name of the tag.
+   * @param {string} [params.entityName] - The name shown on placeholder icons.
+   * @param {Object} [params.entity] - The entity, whose first parent picks the placeholder shape.
+   * @param {string} tagName - The prompt.
    * @param {boolean} abstractStyle - Whether to use abstract style.
-   * @param {boolean} lightColors - Whether to use light colors.
-   * @param {Object} Toast - The Toast object for displaying messages.
-   * @returns {Promise<string>} - A promise that resolves with the image URL.
+   * @param {Object} [palette] - The colors to use.
+   * @param {Array<string>} palette.colors - The hex colors of the icon.
+   * @param {string} palette.background - The hex background color, or empty.
+   * @param {Object} [Toast] - The Toast object for displaying messages.
+   * @param {number} [count=1] - The number of candidates to generate.
+   * @param {function} [onUpdate] - Receives `{ jobId, stage, progress }` as the job advances.
+   * @param {Object} [reference] - The image to generate from, e.g. the parent icon.
+   * @param {string} reference.imageUrl - The URL of the image.
+   * @param {number} reference.strength - How far the icon may depart from the image, from 0 to 1.
+   * @returns {Promise<Array<string>>} - A promise that resolves with the image URLs.
+   * @throws {JobCancelledError} If the generation is cancelled.
    */
   const fetchTagIcon = async (
     params,
     tagName,
     abstractStyle,
-    lightColors,
+    palette,
     Toast,
+    count = DEFAULT_RECRAFT_COUNT,
+    onUpdate = null,
+    reference = null,
   ) => {
-    const task = 'Recraft Tag Icon',
-      operation = 'recraftTagIcon',
-      prefix = `[Plugin / Recraft Tag Icons] ${operation} =`,
-      reqTime = Date.now(),
-      payload = [
-        { key: 'name', value: { str: operation } },
-        { key: 'tagName', value: { str: `${tagName}` } },
-      ];
+    const args = {
+      tagName,
+      count: parseCount(count),
+      model: params.recraftTagIconModel || DEFAULT_RECRAFT_MODEL,
+      subject: params.entityName || tagName,
+      group: getIconGroup(params.entity),
+    };
+
+    const cacheKey = getCacheKey(
+      params,
+      tagName,
+      abstractStyle,
+      palette,
+      reference,
+    );
+    if (cacheKey) {
+      args.cacheKey = cacheKey;
+    }
 
     if (abstractStyle) {
-      payload.push({ key: 'abstractStyle', value: { str: 'true' } });
+      args.abstractStyle = 'true';
     }
 
-    if (lightColors) {
-      payload.push({ key: 'lightColors', value: { str: 'true' } });
+    if (palette && palette.colors.length > 0) {
+      args.colors = palette.colors.join(',');
     }
 
-    return new Promise((resolve, reject) => {
-      try {
-        runPluginTask(PLUGIN_ID, task, payload).then(() => {
-          // Poll logs until plugin task output appears
-          pollLogsWithRetries(prefix, reqTime, tagName, 5)
-            .then(imageUrl => {
-              console.log(`Got image URL for ${tagName}: ${imageUrl}`);
-              resolve(imageUrl);
-            })
-            .catch(error => {
-              Toast.error('Error fetching image for:', tagName);
-              console.error('No image generated for:', tagName);
-              reject(error);
-            });
-        });
-      } catch (error) {
-        Toast.error('Error fetching image for:', tagName);
-        console.error('Error fetching image:', error);
-        reject(error);
+    if (palette && palette.background) {
+      args.backgroundColor = palette.background;
+    }
+
+    try {
+      if (reference && getIconProvider(params).references) {
+        args.reference = await toRasterDataUrl(reference.imageUrl);
+        args.strength = parseStrength(reference.strength);
+      }
+      const result = await runPluginJob('Recraft Tag Icon', args, onUpdate);
+      const urls = (result.images || result.urls.map(url => ({ url }))).map(
+        image => (image.path ? getDataAssetUrl(image.path) : image.url),
+      );
+      console.log(`Got image URLs for ${tagName}:`, urls);
+      return urls;
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        console.log(`Cancelled icon generation for ${tagName}`);
+        throw error;
       }
+      Toast?.error(`Error fetching image for ${tagName}: ${error.message}`);
+      console.error('No image generated for:', tagName, error);
+      throw error;
+    }
+  };
+
+  /**
+   * Parses an icon size setting, given either as `1024` or as `1024x1024`.
+   * @param {string|number} value - The size setting.
+   * @returns {{width: number, height: number}} The parsed size.
+   */
+  const parseSize = function (value) {
+    const [width, height = width] = `${value || DEFAULT_RECRAFT_SIZE}`
+      .split('x')
+      .map(v => parseInt(v, 10));
+    if (isNaN(width) || isNaN(height)) {
+      return parseSize(DEFAULT_RECRAFT_SIZE);
+    }
+    return { width, height };
+  };
+
+  /**
+   * Loads an image element from a URL.
+   * @param {string} src - The URL of the image.
+   * @returns {Promise<HTMLImageElement>} - A promise that resolves with the loaded image.
+   */
+  const loadImage = src =>
+    new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+      image.src = src;
     });
+
+  /**
+   * Checks whether an image blob is an SVG document.
+   * @param {Blob} blob - The image blob.
+   * @returns {Promise<boolean>} - A promise that resolves with true for SVG images.
+   */
+  const isSvgBlob = async blob => {
+    if (blob.type.includes('svg')) {
+      return true;
+    }
+    const head = await blob.slice(0, 1024).text();
+    return /<svg[\s>]/i.test(head);
   };
 
   /**
-   * Polls the logs for a specific message and retries if necessary.
-   * @param {string} prefix - The prefix to search for in the logs.
-   * @param {number} reqTime - The request time for the logs.
-   * @param {string} tagName - The name of the tag.
-   * @param {Object} Toast - The Toast object for displaying messages.
-   * @param {number} maxRetries - The maximum number of retries.
-   * @returns {Promise<string>} - A promise that resolves with the image URL.
+   * Renders an image blob to a raster data URL.
+   * @param {Blob} blob - The image blob, SVG or raster.
+   * @param {string} format - The output format, `png` or `webp`.
+   * @param {{width: number, height: number}} size - The output size.
+   * @returns {Promise<string>} - A promise that resolves with the data URL.
+   * @description SVGs are given explicit dimensions first, since browsers
+   * can't rasterize an SVG that only has a viewBox. The image is scaled to fit
+   * and centered, keeping its transparency.
    */
-  const pollLogsWithRetries = async (
-    prefix,
-    reqTime,
-    tagName,
-    maxRetries = 5,
-  ) => {
-    let attempts = 0;
-
-    return new Promise((resolve, reject) => {
-      const tryPollLogs = () => {
-        pollLogsForMessage(prefix, 'Info', reqTime)
-          .then(result => {
-            const parsedResult = JSON.parse(result.trim());
-            if (parsedResult && parsedResult.url) {
-              console.log(`Got image URL for ${tagName}: ${parsedResult.url}`);
-              resolve(parsedResult.url);
-            } else {
-              reject(new Error(`No image generated for: ${tagName}`));
-            }
-          })
-          .catch(error => {
-            attempts++;
-            console.warn(
-              `Message poll attempt ${attempts} failed for ${tagName}. Retrying...`,
-            );
-            if (attempts >= maxRetries) {
-              reject(error);
-            } else {
-              tryPollLogs();
-            }
-          });
-      };
-      tryPollLogs();
+  const rasterizeImage = async (blob, format, { width, height }) => {
+    let source = blob;
+    if (await isSvgBlob(blob)) {
+      const doc = new DOMParser().parseFromString(
+        await blob.text(),
+        'image/svg+xml',
+      );
+      const svg = doc.documentElement;
+      const svgWidth = parseFloat(svg.getAttribute('width'));
+      const svgHeight = parseFloat(svg.getAttribute('height'));
+      if (!svg.getAttribute('viewBox') && svgWidth && svgHeight) {
+        svg.setAttribute('viewBox', `0 0 ${svgWidth} ${svgHeight}`);
+      }
+      svg.setAttribute('width', width);
+      svg.setAttribute('height', height);
+      source = new Blob([new XMLSerializer().serializeToString(doc)], {
+        type: 'image/svg+xml',
+      });
+    }
+
+    const objectUrl = URL.createObjectURL(source);
+    try {
+      const image = await loadImage(objectUrl);
+      const scale = Math.min(
+        width / (image.naturalWidth || width),
+        height / (image.naturalHeight || height),
+      );
+      const drawWidth = (image.naturalWidth || width) * scale;
+      const drawHeight = (image.naturalHeight || height) * scale;
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas
+        .getContext('2d')
+        .drawImage(
+          image,
+          (width - drawWidth) / 2,
+          (height - drawHeight) / 2,
+          drawWidth,
+          drawHeight,
+        );
+      return canvas.toDataURL(`image/${format}`);
+    } finally {
+      URL.revokeObjectURL(objectUrl);
+    }
+  };
+
+  /**
+   * Reads a blob into a data URL.
+   * @param {Blob} blob - The blob to read.
+   * @returns {Promise<string>} - A promise that resolves with the data URL.
+   */
+  const blobToDataUrl = blob =>
+    new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
     });
+
+  /**
+   * Reads an image into a data URL.
+   * @param {string} url - The URL of the image.
+   * @returns {Promise<string>} - A promise that resolves with the data URL.
+   */
+  const toDataUrl = async url => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download image: ${response.status}`);
+    }
+    return blobToDataUrl(await response.blob());
+  };
+
+  /**
+   * Reads an image into a raster data URL, for the Recraft operations that take
+   * an input image.
+   * @param {string} url - The URL of the image.
+   * @returns {Promise<string>} - A promise that resolves with the data URL.
+   * @description Recraft only takes raster input, so SVG icons are rendered to
+   * PNG first. Raster images are sent as they are.
+   */
+  const toRasterDataUrl = async url => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download image: ${response.status}`);
+    }
+    const blob = await response.blob();
+    if (await isSvgBlob(blob)) {
+      return rasterizeImage(blob, 'png', {
+        width: REFERENCE_IMAGE_SIZE,
+        height: REFERENCE_IMAGE_SIZE,
+      });
+    }
+    return blobToDataUrl(blob);
+  };
+
+  /**
+   * Checks whether an image URL points to an SVG.
+   * @param {string} url - The URL of the image.
+   * @returns {boolean} True for `.svg` files and SVG data URLs.
+   */
+  const isSvgUrl = function (url) {
+    return (
+      /^data:image\/svg/i.test(url || '') || /\.svg(\?|$)/i.test(url || '')
+    );
+  };
+
+  /**
+   * Runs a Recraft image operation on a generated image.
+   * @param {string} url - The URL of the image.
+   * @param {string} operation - The operation, a key of EDIT_OPERATIONS.
+   * @param {function} [onUpdate] - Receives `{ jobId, stage, progress }` as the job advances.
+   * @returns {Promise<string>} - A promise that resolves with the URL of the edited image.
+   * @throws {JobCancelledError} If the operation is cancelled.
+   */
+  const editImage = async (url, operation, onUpdate = null) => {
+    const image = await toRasterDataUrl(url);
+    const result = await runPluginJob(
+      'Recraft Edit Image',
+      { operation, image },
+      onUpdate,
+    );
+    const [edited] = result.images || [{ url: result.url }];
+    return edited.path ? getDataAssetUrl(edited.path) : edited.url;
+  };
+
+  /**
+   * Converts a generated image to the configured icon format before it is saved.
+   * @param {Object} params - The plugin settings.
+   * @param {string} params.recraftTagIconFormat - The icon format, `svg`, `png` or `webp`.
+   * @param {string} params.recraftTagIconSize - The icon size.
+   * @param {string} url - The URL of the generated image.
+   * @param {Object} [Toast] - The Toast object for displaying messages.
+   * @returns {Promise<string>} - A promise that resolves with the data URL to save.
+   * @description With the SVG format, the image is kept as generated. Vector
+   * styles produce SVGs, raster styles can't be vectorized here. With raster
+   * formats, the image is rendered in the browser at the configured size. The
+   * result is always a data URL, so Stash stores the image itself rather than a
+   * link to it. If the conversion fails, the image is saved as generated.
+   */
+  const prepareTagImage = async (params, url, Toast) => {
+    const format = `${params.recraftTagIconFormat || DEFAULT_RECRAFT_FORMAT}`
+      .trim()
+      .toLowerCase();
+    if (!RECRAFT_FORMATS.includes(format)) {
+      console.warn(`Unsupported icon format: ${format}`);
+      return url;
+    }
+    if (format === 'svg') {
+      try {
+        return await toDataUrl(url);
+      } catch (e) {
+        console.error('Failed to read icon:', e);
+        return url;
+      }
+    }
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to download image: ${response.status}`);
+      }
+      const blob = await response.blob();
+      return await rasterizeImage(
+        blob,
+        format,
+        parseSize(params.recraftTagIconSize),
+      );
+    } catch (e) {
+      console.error(`Failed to convert icon to ${format}:`, e);
+      Toast?.error(
+        `Could not convert icon to ${format.toUpperCase()}, saving it as generated`,
+      );
+      return url;
+    }
+  };
+
+  /**
+   * Checks whether an image URL is the Stash placeholder for a missing image.
+   * @param {string} url - The image URL.
+   * @returns {boolean} - True for the default image.
+   */
+  const isDefaultImage = function (url) {
+    return !url || /[?&]default=true/.test(url);
+  };
+
+  /**
+   * Returns the history metadata for an icon generated with the given settings.
+   * @param {Object} params - The plugin settings.
+   * @param {string} prompt - The prompt the icon was generated from.
+   * @returns {Object} - The history metadata.
+   */
+  const getHistoryMetadata = function (params, prompt) {
+    return {
+      prompt: prompt || '',
+      style: params.recraftTagIconStyleId || params.recraftTagIconStyle || '',
+      subStyle: params.recraftTagIconStyleId
+        ? ''
+        : params.recraftTagIconSubStyle || '',
+    };
   };
 
   /**
-   * Updates the tag image with the provided URL.
+   * Returns the history directory name of an entity.
+   * @param {string} entityType - The type of the entity.
+   * @param {string} entityId - The ID of the entity.
+   * @returns {string} The ID for tags, `<type>-<id>` for other entities.
+   */
+  const getHistoryKey = function (entityType, entityId) {
+    return entityType === 'tag' ? `${entityId}` : `${entityType}-${entityId}`;
+  };
+
+  /**
+   * Retrieves the image history of an entity.
+   * @param {string} entityType - The type of the entity.
+   * @param {string} entityId - The ID of the entity.
+   * @returns {Promise<Array<Object>>} - A promise that resolves with the history entries, newest first.
+   */
+  const fetchEntityHistory = async (entityType, entityId) => {
+    const historyKey = getHistoryKey(entityType, entityId);
+    try {
+      const response = await fetch(
+        getDataAssetUrl(`history/${historyKey}/index.json`),
+        { cache: 'no-store' },
+      );
+      if (!response.ok) {
+        return [];
+      }
+      return await response.json();
+    } catch (e) {
+      console.error('Failed to load image history:', e);
+      return [];
+    }
+  };
+
+  /**
+   * Archives the images involved in an entity image change.
+   * @param {string} entityType - The type of the entity.
+   * @param {string} entityId - The ID of the entity.
+   * @param {string|null} replacedUrl - Data URL of the image that was replaced.
+   * @param {string|null} savedUrl - Data URL of the generated image that was saved.
+   * @param {Object} [metadata={}] - The prompt and style of the saved image.
+   * @returns {Promise<Array<Object>>} - A promise that resolves with the updated history.
+   */
+  const archiveEntityImages = async (
+    entityType,
+    entityId,
+    replacedUrl,
+    savedUrl,
+    metadata = {},
+  ) => {
+    const args = {
+      historyKey: getHistoryKey(entityType, entityId),
+      ...metadata,
+    };
+    if (replacedUrl) {
+      args.replaced = replacedUrl;
+    }
+    if (savedUrl) {
+      args.saved = savedUrl;
+    }
+    const result = await runPluginJob('Recraft Archive Icon', args);
+    return result.entries;
+  };
+
+  /**
+   * Saves an entity image and archives the images involved.
    * @param {Object} params - The parameters for the update.
-   * @param {string} params.tagId - The ID of the tag to update.
+   * @param {string} params.entityType - The type of the entity to update.
+   * @param {string} params.entityId - The ID of the entity to update.
    * @param {string} params.imageUrl - The URL of the new image.
-   * @param {string} params.tagName - The name of the tag.
-   * @param {Object} Toast - The Toast object for displaying messages.
-   * @returns {Promise<Object>} - A promise that resolves with the updated tag.
+   * @param {string} params.entityName - The name of the entity.
+   * @param {string} [params.previousImageUrl] - The URL of the current entity image.
+   * @param {string} [params.previousImageData] - The current entity image as a data
+   * URL, if it was read already.
+   * @param {Object} [Toast] - The Toast object for displaying messages.
+   * @param {Object} [metadata] - The history metadata of a generated image. The new
+   * image is archived only when given, e.g. not when restoring from the history.
+   * @returns {Promise<Object>} - A promise that resolves with the updated entity.
+   * @throws {Error} If the update fails. Archive failures are only logged.
+   */
+  const saveEntityImage = async (params, Toast, metadata = null) => {
+    const { entityType, entityId, imageUrl, previousImageUrl } = params;
+
+    let replacedUrl = params.previousImageData || null;
+    if (!replacedUrl && !isDefaultImage(previousImageUrl)) {
+      try {
+        replacedUrl = await toDataUrl(previousImageUrl);
+      } catch (e) {
+        console.warn('Failed to read the current image:', e);
+      }
+    }
+
+    const entity = await updateEntityImage(params, Toast);
+
+    if (replacedUrl || metadata) {
+      try {
+        await archiveEntityImages(
+          entityType,
+          entityId,
+          replacedUrl,
+          metadata ? imageUrl : null,
+          metadata || {},
+        );
+      } catch (e) {
+        console.error('Failed to archive images:', e);
+      }
+    }
+    return entity;
+  };
+
+  /**
+   * Updates the entity image with the provided URL.
+   * @param {Object} params - The parameters for the update.
+   * @param {string} params.entityType - The type of the entity to update.
+   * @param {string} params.entityId - The ID of the entity to update.
+   * @param {string} params.imageUrl - The URL of the new image.
+   * @param {string} params.entityName - The name of the entity.
+   * @param {Object} [Toast] - The Toast object for displaying messages.
+   * @returns {Promise<Object>} - A promise that resolves with the updated entity.
    * @throws {Error} If the update fails.
-   * @description This function sends a GraphQL mutation to update the tag image.
-   * It logs the result and shows a success or error message based on the outcome.
+   * @description This function sends the GraphQL mutation of the entity type to
+   * update the image. It logs the result and shows a success or error message
+   * based on the outcome.
    */
-  const updateTagImage = async (params, Toast) => {
-    const { tagId, imageUrl, tagName } = params;
-    console.log(`Updating tag ${tagId} with image ${imageUrl}`);
+  const updateEntityImage = async (params, Toast) => {
+    const { entityType, entityId, imageUrl, entityName } = params;
+    const type = ENTITY_TYPES[entityType];
+    console.log(`Updating ${entityType} ${entityId} with a new image`);
     const query = `
-          mutation TagUpdate($input: TagUpdateInput!) {
-              tagUpdate(input: $input) {
+          mutation UpdateImage($input: ${type.updateInput}!) {
+              ${type.updateMutation}(input: $input) {
                 id
                 name
-                image_path
+                image_path: ${type.imagePathField}
               }
           }
       `;
@@ -645,44 +6377,120 @@
       query: query,
       variables: {
         input: {
-          id: tagId,
-          image: imageUrl,
+          id: entityId,
+          [type.imageField]: imageUrl,
         },
       },
     };
     const result = await window.csLib.callGQL(reqData);
 
-    if (result?.tagUpdate?.id) {
-      Toast.success('Generated icon for:', tagName);
-      return result.tagUpdate;
+    if (result?.[type.updateMutation]?.id) {
+      Toast?.success(
+        `Generated ${type.label.toLowerCase()} for: ${entityName}`,
+      );
+      return result[type.updateMutation];
     } else {
-      console.error('Failed to update tag:', result);
-      throw new Error(`Failed to update tag: ${tagName}`);
+      console.error(`Failed to update ${entityType}:`, result);
+      throw new Error(`Failed to update ${entityType}: ${entityName}`);
     }
   };
 
   /**
-   * Retrieves the tag for a given tag id.
+   * Retrieves an entity by type and id.
    *
-   * @param {number} tagId - The id of the tag to retrieve.
-   * @returns {Promise<string>} - A promise that resolves with the tag ID.
+   * @param {string} entityType - The type of the entity, a key of ENTITY_TYPES.
+   * @param {string} entityId - The id of the entity to retrieve.
+   * @returns {Promise<Object|null>} - A promise that resolves with the entity,
+   * normalized to the shape of a tag.
    */
-  const findTagById = async function (tagId) {
+  const findEntityById = async function (entityType, entityId) {
+    const type = ENTITY_TYPES[entityType];
     const reqData = {
       variables: {
-        id: tagId,
+        id: entityId,
       },
-      query: `query FindTag($id: ID!) {
-          findTag(id: $id) {
+      query: `query FindEntity($id: ID!) {
+          ${type.findQuery}(id: $id) {
             id
             name
-            description
-            aliases
-            parents {
+            image_path: ${type.imagePathField}
+            ${type.fields}
+          }
+        }`,
+    };
+
+    var result = await csLib.callGQL(reqData);
+
+    if (result && result[type.findQuery]) {
+      return normalizeEntity(result[type.findQuery]);
+    }
+    return null;
+  };
+
+  /**
+   * Retrieves a tag and all its descendants.
+   * @param {string} tagId - The ID of the tag at the top of the branch.
+   * @returns {Promise<Array<{tag: Object, parentId: string|null}>>} - A promise that
+   * resolves with the tags, parents before their children, each with the ID of the
+   * parent it was reached from.
+   * @description The branch is walked breadth first through the `children` of each
+   * tag. A tag with several parents in the branch is visited once.
+   */
+  const findTagBranch = async function (tagId) {
+    const branch = [];
+    const visited = new Set([`${tagId}`]);
+    const queue = [{ id: `${tagId}`, parentId: null }];
+    while (queue.length > 0) {
+      const { id, parentId } = queue.shift();
+      const tag = await findEntityById('tag', id);
+      if (!tag) {
+        continue;
+      }
+      branch.push({ tag, parentId });
+      (tag.children || []).forEach(child => {
+        if (!visited.has(child.id)) {
+          visited.add(child.id);
+          queue.push({ id: child.id, parentId: tag.id });
+        }
+      });
+    }
+    return branch;
+  };
+
+  /**
+   * Retrieves tags by ID, search query or tag filter.
+   * @param {Object} options - The query options.
+   * @param {string} [options.q=''] - The search query.
+   * @param {Array<string>|null} [options.ids=null] - The tag IDs to retrieve.
+   * @param {Object|null} [options.tagFilter=null] - The Stash tag filter, as built by `buildTagFilter`.
+   * @param {number} [options.perPage=-1] - The most tags to retrieve, -1 for all.
+   * @returns {Promise<Array<Object>>} - A promise that resolves with the tags.
+   */
+  const findTags = async function ({
+    q = '',
+    ids = null,
+    tagFilter = null,
+    perPage = -1,
+  } = {}) {
+    const reqData = {
+      variables: {
+        filter: { q, per_page: perPage, sort: 'name', direction: 'ASC' },
+        ids,
+        tag_filter: tagFilter,
+      },
+      query: `query FindTags($filter: FindFilterType, $ids: [ID!], $tag_filter: TagFilterType) {
+          findTags(filter: $filter, ids: $ids, tag_filter: $tag_filter) {
+            count
+            tags {
               id
               name
+              image_path
               description
               aliases
+              parents {
+                id
+                name
+              }
             }
           }
         }`,
@@ -690,132 +6498,282 @@
 
     var result = await csLib.callGQL(reqData);
 
-    if (result && 'findTag' in result) {
-      return result.findTag;
+    if (result && result.findTags) {
+      return result.findTags.tags;
     }
-    return null;
+    return [];
   };
 
   /**
-   * Sets the local tag image to the provided URL.
+   * Sets the local entity image to the provided URL.
    * @param {string} imageUrl - The URL of the image to set.
    */
-  const setLocalTagImage = function (imageUrl) {
-    const tagImage = document.querySelector('.detail-header-image IMG.logo');
-    if (tagImage) {
-      tagImage.src = imageUrl;
+  const setLocalEntityImage = function (imageUrl) {
+    const image = document.querySelector('.detail-header-image img');
+    if (image) {
+      image.src = imageUrl;
     }
   };
 
-  const cleanUI = function () {
-    const existingContainer = document.getElementById(
-        'recraft-icon-button-container',
-      ),
-      existingButtons = document.querySelectorAll('.recraft-icon-button');
-    if (existingContainer) {
-      existingContainer.remove();
-    }
-    if (existingButtons.length > 0) {
-      existingButtons.forEach(button => button.remove());
-    }
-  };
-
-  /**
-   * Initializes the plugin by fetching the configuration and rendering the button.
-   * @returns {void}
-   * @description This function retrieves the plugin configuration, checks if the plugin is enabled,
-   * and renders the button if the tag ID is found. It also fetches the tag details and creates the button instance.
-   * If the tag is not found, it logs an error message.
-   * @throws {Error} If the tag is not found.
-   * @throws {Error} If the plugin is not enabled.
-   */
-  const initializePlugin = () => {
-    console.log('Initializing Recraft Icons plugin...');
-    cleanUI();
-    getPluginConfig('stash-plugin-recraft-icons').then(config => {
-      setupPluginDefaults(config)
-        .then(settings => {
-          const tagId = getTagId();
-          if (settings.recraftApiKey && settings.recraftApiUrl && tagId) {
-            findTagById(tagId).then(tag => {
-              if (tag) {
-                const buttonInstance = React.createElement(ButtonComponent, {
-                  ...settings,
-                  tagName: tag.name,
-                  parents: tag.parents.map(p => p.name).join(', '),
-                  tagId,
-                });
-                const root = document.querySelector('#root');
-                const container = document.createElement('div');
-                container.id = 'recraft-icon-button-container';
-                root.appendChild(container);
-                api.ReactDOM.render(buttonInstance, container);
-              } else {
-                console.error('Tag not found');
-              }
-            });
-          } else {
-            console.error('Plugin not enabled or tag ID not found');
-          }
-        })
+  let pluginSettings = null;
+
+  /**
+   * Loads the plugin settings, filling in the defaults on first use.
+   * @returns {Promise<Object>} - A promise that resolves with the settings.
+   * @description The settings are read once and shared by every page. Saving
+   * them through `savePluginSettings` updates the shared copy, and visiting the
+   * Stash settings, where they can be changed too, reloads it.
+   */
+  const loadPluginSettings = function () {
+    if (!pluginSettings) {
+      const loading = getPluginConfig(PLUGIN_ID).then(config =>
+        setupPluginDefaults(config || {}),
+      );
+      loading.catch(() => {
+        if (pluginSettings === loading) {
+          pluginSettings = null;
+        }
+      });
+      pluginSettings = loading;
+    }
+    return pluginSettings;
+  };
+
+  /**
+   * Hook providing the plugin settings.
+   * @returns {Array} The settings, or null while they load, and a function to replace them once saved.
+   */
+  const usePluginSettings = () => {
+    const [settings, setSettings] = React.useState(null);
+
+    React.useEffect(() => {
+      let active = true;
+      loadPluginSettings()
+        .then(loaded => active && setSettings(loaded))
         .catch(error => {
           console.error('Error setting up plugin defaults:', error);
         });
+      return () => {
+        active = false;
+      };
+    }, []);
+
+    return [settings, setSettings];
+  };
+
+  /**
+   * Button component offering only the settings, while the provider isn't set up.
+   * @param {Object} props - The component props.
+   * @param {string} props.label - The label of the dropdown.
+   * @param {Object} props.settingsState - The plugin settings.
+   * @param {function} props.onSaveHandler - Receives the saved settings.
+   * @param {string} [props.toolbarSelector] - The selector of the toolbar, see `useToolbarContainer`.
+   * @param {string} [props.toolbarClassName] - The class name of the button container.
+   * @returns {JSX.Element} - The rendered button component.
+   * @description Without it, a fresh install with no API key would have no way
+   * to reach the settings, e.g. to pick the offline placeholder provider.
+   */
+  const SetupButtonComponent = ({
+    label,
+    settingsState,
+    onSaveHandler,
+    toolbarSelector,
+    toolbarClassName,
+  }) => {
+    const [settingsDisplay, setSettingsDisplay] = React.useState(false);
+    const toolbar = useToolbarContainer(toolbarSelector, toolbarClassName);
+
+    const buttonInstance = React.createElement(DropdownDetailButton, {
+      label,
+      options: [
+        { onClickHandler: _e => setSettingsDisplay(true), label: 'Settings' },
+      ],
+    });
+
+    return React.createElement(
+      React.Fragment,
+      null,
+      toolbar && api.ReactDOM.createPortal(buttonInstance, toolbar),
+      React.createElement(SettingsModal, {
+        displayState: settingsDisplay,
+        onCloseHandler: () => setSettingsDisplay(false),
+        onSaveHandler,
+        settingsState,
+      }),
+    );
+  };
+
+  /**
+   * Mounts the plugin on an entity detail page.
+   * @param {Object} props - The component props.
+   * @param {string} props.entityType - The type of the entity, a key of ENTITY_TYPES.
+   * @param {string} props.entityId - The ID of the entity.
+   * @returns {JSX.Element|null} - The button component, once the settings and the entity are loaded,
+   * or only the settings while the provider isn't set up.
+   * @description The entity is loaded once per mount. It is keyed by the route,
+   * so moving to another entity mounts it anew.
+   */
+  const DetailMount = ({ entityType, entityId }) => {
+    const [settings, setSettings] = usePluginSettings();
+    const [entity, setEntity] = React.useState(null);
+
+    React.useEffect(() => {
+      let active = true;
+      findEntityById(entityType, entityId)
+        .then(found => {
+          if (!found) {
+            console.error(`${entityType} not found`);
+          } else if (active) {
+            setEntity(found);
+          }
+        })
+        .catch(error => console.error(`Error loading ${entityType}:`, error));
+      return () => {
+        active = false;
+      };
+    }, [entityType, entityId]);
+
+    if (!settings) {
+      return null;
+    }
+    const type = ENTITY_TYPES[entityType];
+    if (!isProviderReady(settings)) {
+      return React.createElement(SetupButtonComponent, {
+        label: `Generate ${type.label}`,
+        settingsState: settings,
+        onSaveHandler: setSettings,
+      });
+    }
+    if (!entity) {
+      return null;
+    }
+    return React.createElement(ButtonComponent, {
+      ...settings,
+      entityType,
+      entityId,
+      entityName: entity.name,
+      entity,
+      imagePath: entity.image_path,
+      parents: entity.parents.map(p => p.name).join(', '),
+      prompt: renderPromptTemplate(
+        settings[type.promptSetting] || type.defaultPrompt,
+        entity,
+      ),
     });
   };
 
-  const setupPluginDefaults = async params => {
+  /**
+   * Mounts the bulk mode on the tag list page.
+   * @returns {JSX.Element|null} - The bulk button component, once the settings are loaded,
+   * or only the settings while the provider isn't set up.
+   */
+  const BulkMount = () => {
+    const [settings, setSettings] = usePluginSettings();
+    if (!settings) {
+      return null;
+    }
+    if (!isProviderReady(settings)) {
+      return React.createElement(SetupButtonComponent, {
+        label: 'Icons',
+        settingsState: settings,
+        onSaveHandler: setSettings,
+        toolbarSelector: '.filtered-list-toolbar',
+        toolbarClassName: 'recraft-bulk-button ml-2',
+      });
+    }
+    return React.createElement(BulkButtonComponent, settings);
+  };
+
+  /**
+   * Root component of the plugin, mounting it for the current page.
+   * @returns {JSX.Element|null} - The mount of the page, if the plugin has one.
+   * @description Rendered within the Stash navigation bar, so it lives in the
+   * Stash React tree and follows its router. Changing pages unmounts the
+   * previous mount, with its buttons and modals.
+   */
+  const RecraftIcons = () => {
+    const { pathname } = api.libraries.ReactRouterDOM.useLocation();
+
+    React.useEffect(() => {
+      if (pathname.startsWith('/settings')) {
+        pluginSettings = null;
+      }
+    }, [pathname]);
+
+    const route = getEntityRoute(pathname);
+    if (route) {
+      return React.createElement(DetailMount, {
+        key: `${route.type}-${route.id}`,
+        entityType: route.type,
+        entityId: route.id,
+      });
+    }
+    if (isTagListRoute(pathname)) {
+      return React.createElement(BulkMount);
+    }
+    return null;
+  };
+
+  /**
+   * Fills in and saves the default settings on first use.
+   * @param {Object} [params={}] - The plugin configuration.
+   * @returns {Promise<Object>} - A promise that resolves with the settings.
+   * @throws {Error} If the defaults could not be saved.
+   */
+  const setupPluginDefaults = async (params = {}) => {
     const {
       recraftApiKey,
       recraftTagIconStyleId,
+      recraftIconProvider = DEFAULT_ICON_PROVIDER,
       recraftApiUrl = DEFAULT_RECRAFT_API_URL,
       recraftTagIconSize = DEFAULT_RECRAFT_SIZE,
       recraftTagIconFormat = DEFAULT_RECRAFT_FORMAT,
+      recraftTagIconModel = DEFAULT_RECRAFT_MODEL,
       recraftTagIconStyle = DEFAULT_RECRAFT_STYLE,
       recraftTagIconSubStyle = DEFAULT_RECRAFT_SUB_STYLE,
+      recraftTagIconCount = DEFAULT_RECRAFT_COUNT,
+      recraftTagIconPromptTemplate = DEFAULT_RECRAFT_PROMPT_TEMPLATE,
+      recraftStudioIconPromptTemplate = ENTITY_TYPES.studio.defaultPrompt,
+      recraftPerformerIconPromptTemplate = ENTITY_TYPES.performer.defaultPrompt,
+      recraftGroupIconPromptTemplate = ENTITY_TYPES.group.defaultPrompt,
     } = params;
 
-    return new Promise((resolve, reject) => {
-      if (
-        !params.recraftApiUrl ||
-        !params.recraftTagIconSize ||
-        !params.recraftTagIconFormat
-      ) {
-        const result = updatePluginConfig(PLUGIN_ID, {
-          recraftApiKey,
-          recraftApiUrl,
-          recraftTagIconSize,
-          recraftTagIconFormat,
-          recraftTagIconStyle,
-          recraftTagIconSubStyle,
-          recraftTagIconStyleId,
-        });
-
-        if (result && result?.data?.configurePlugin) {
-          resolve(result.data.configurePlugin);
-        } else {
-          reject(new Error('Failed to update plugin configuration'));
-        }
-      } else {
-        resolve(params);
-      }
-    });
+    if (
+      !params.recraftApiUrl ||
+      !params.recraftTagIconSize ||
+      !params.recraftTagIconFormat
+    ) {
+      return savePluginSettings({
+        recraftIconProvider,
+        recraftApiKey,
+        recraftApiUrl,
+        recraftTagIconSize,
+        recraftTagIconFormat,
+        recraftTagIconModel,
+        recraftTagIconStyle,
+        recraftTagIconSubStyle,
+        recraftTagIconStyleId,
+        recraftTagIconCount,
+        recraftTagIconPromptTemplate,
+        recraftStudioIconPromptTemplate,
+        recraftPerformerIconPromptTemplate,
+        recraftGroupIconPromptTemplate,
+      });
+    }
+    return params;
   };
 
-  let debounceTimer = null;
-
-  csLib.PathElementListener('/tag', '.details-edit', function () {
-    if (debounceTimer) clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(async () => {
-      const toolbar = document.querySelector('.details-edit');
-      if (
-        toolbar &&
-        document.querySelectorAll(
-          '.details-edit .recraft-icon-button #generate-icon',
-        ).length === 0
-      ) {
-        initializePlugin();
-      }
-    }, 300); // debounce 300ms
+  api.patch.before('MainNavBar.UtilityItems', function (props) {
+    return [
+      {
+        ...props,
+        children: React.createElement(
+          React.Fragment,
+          null,
+          props.children,
+          React.createElement(RecraftIcons),
+        ),
+      },
+    ];
   });
 })(window, document);
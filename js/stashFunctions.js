@@ -282,6 +282,127 @@
     return csLib.callGQL(reqData);
   }
 
+  /**
+   * Retrieves a job from the job queue.
+   *
+   * @param {string} jobId - The ID of the job.
+   * @returns {Promise<Object|null>} - A promise that resolves to the job, or null if it is no longer queued.
+   */
+  async function findJob(jobId) {
+    const reqData = {
+      operationName: 'FindJob',
+      variables: {
+        input: { id: jobId },
+      },
+      query: `query FindJob($input: FindJobInput!) {
+                      findJob(input: $input) {
+                        id
+                        status
+                        subTasks
+                        description
+                        progress
+                        error
+                      }
+                    }`,
+    };
+    const result = await csLib.callGQL(reqData);
+    return result?.findJob || null;
+  }
+
+  /**
+   * Retrieves the jobs in the job queue.
+   *
+   * @returns {Promise<Array<Object>>} - A promise that resolves to the queued and running jobs.
+   */
+  async function getJobQueue() {
+    const reqData = {
+      operationName: 'JobQueue',
+      variables: {},
+      query: `query JobQueue {
+                      jobQueue {
+                        id
+                        status
+                        description
+                        progress
+                        error
+                      }
+                    }`,
+    };
+    const result = await csLib.callGQL(reqData);
+    return result?.jobQueue || [];
+  }
+
+  /**
+   * Polls a job until it reaches a final status or leaves the job queue.
+   *
+   * The polling interval doubles after each poll, up to the maximum interval.
+   * Aborting the signal stops the polling, without stopping the job.
+   *
+   * @param {string} jobId - The ID of the job.
+   * @param {number} [interval=500] - The initial polling interval in milliseconds.
+   * @param {number} [maxInterval=2000] - The maximum polling interval in milliseconds.
+   * @param {function} [onUpdate] - Optional callback that receives the job after every poll.
+   * @param {AbortSignal} [signal] - Optional signal to stop polling.
+   * @returns {Promise<Object|null>} - A promise that resolves to the last state of the job, or null if it was never seen.
+   */
+  async function waitForJob(
+    jobId,
+    interval = 500,
+    maxInterval = 2000,
+    onUpdate = null,
+    signal = null,
+  ) {
+    const finalStatuses = ['FINISHED', 'FAILED', 'CANCELLED'];
+    let job = null;
+    let delay = interval;
+    while (!signal?.aborted) {
+      await new Promise(resolve => {
+        const done = () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', done);
+          resolve();
+        };
+        const timer = setTimeout(done, delay);
+        signal?.addEventListener('abort', done);
+      });
+      if (signal?.aborted) {
+        return job;
+      }
+      const current = await findJob(jobId);
+      if (!current || signal?.aborted) {
+        return job;
+      }
+      job = current;
+      if (onUpdate) {
+        onUpdate(job);
+      }
+      if (finalStatuses.includes(job.status)) {
+        return job;
+      }
+      delay = Math.min(delay * 2, maxInterval);
+    }
+    return job;
+  }
+
+  /**
+   * Stops a job in the job queue.
+   *
+   * @param {string} jobId - The ID of the job to stop.
+   * @returns {Promise<Object>} - A promise that resolves with the result of the GraphQL mutation.
+   */
+  async function stopJob(jobId) {
+    const reqData = {
+      operationName: 'StopJob',
+      variables: {
+        job_id: jobId,
+      },
+      query: `mutation StopJob($job_id: ID!) {
+                      stopJob(job_id: $job_id)
+                    }`,
+    };
+    return csLib.callGQL(reqData);
+  }
+
   /**
    * Fetches the list of plugins with their details including tasks and hooks.
    *
@@ -732,6 +853,10 @@
       return window.location.origin;
     },
     runPluginTask,
+    findJob,
+    getJobQueue,
+    waitForJob,
+    stopJob,
     getPlugins,
     getStashBoxes,
     getApiKey,
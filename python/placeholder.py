@@ -0,0 +1,132 @@
+"""
+Offline placeholder icons for the Recraft plugin.
+Creates deterministic SVG icons from a name, so icons can be generated without an API key or network access.
+"""
+
+import base64
+import colorsys
+import hashlib
+import re
+from xml.sax.saxutils import escape
+
+# Shapes as SVG elements on a 100x100 canvas, picked by the group (e.g. the parent tag) of an icon
+shapes = (
+    '<circle cx="50" cy="50" r="46" fill="{fill}"/>',
+    '<rect x="4" y="4" width="92" height="92" rx="22" fill="{fill}"/>',
+    '<polygon points="50,3 91,26.5 91,73.5 50,97 9,73.5 9,26.5" fill="{fill}"/>',
+    '<polygon points="50,2 98,50 50,98 2,50" fill="{fill}"/>',
+    '<path d="M50 3 L92 18 V48 C92 74 73 90 50 97 C27 90 8 74 8 48 V18 Z" fill="{fill}"/>',
+    '<rect x="4" y="4" width="92" height="92" rx="8" fill="{fill}"/>',
+)
+
+
+def name_hash(value):
+    """
+    The name_hash function hashes a name into a stable integer, the same across runs and machines.
+
+    :param value: str - The name.
+    :return: int - The hash
+    """
+    return int(hashlib.sha1(f"{value or ''}".strip().lower().encode("utf-8")).hexdigest()[:8], 16)
+
+
+def initials(name):
+    """
+    The initials function returns the glyph shown on a placeholder icon.
+
+    :param name: str - The name.
+    :return: str - The first letters of the first two words, or the first two characters of a single word
+    """
+    words = [word for word in re.split(r"[\s\-_/.,()]+", f"{name or ''}") if word]
+    if not words:
+        return "?"
+    if len(words) == 1:
+        return words[0][:2].upper()
+    return (words[0][0] + words[1][0]).upper()
+
+
+def hex_color(hue, saturation, lightness):
+    """
+    The hex_color function converts an HSL color to a hex color.
+
+    :param hue: float - The hue, from 0 to 360.
+    :param saturation: float - The saturation, from 0 to 1.
+    :param lightness: float - The lightness, from 0 to 1.
+    :return: str - The color as #rrggbb
+    """
+    red, green, blue = colorsys.hls_to_rgb((hue % 360) / 360, lightness, saturation)
+    return "#{:02x}{:02x}{:02x}".format(round(red * 255), round(green * 255), round(blue * 255))
+
+
+def rgb_hex(color):
+    """
+    The rgb_hex function converts a Recraft color control to a hex color.
+
+    :param color: dict - The color, as {"rgb": [r, g, b]}.
+    :return: str - The color as #rrggbb
+    """
+    return "#{:02x}{:02x}{:02x}".format(*color["rgb"])
+
+
+def text_color(fill):
+    """
+    The text_color function picks a glyph color that stays readable on a fill color.
+
+    :param fill: str - The fill color, as #rrggbb.
+    :return: str - Dark text on light fills, white text otherwise
+    """
+    red, green, blue = (int(fill[i : i + 2], 16) for i in (1, 3, 5))
+    luminance = (0.299 * red + 0.587 * green + 0.114 * blue) / 255
+    return "#1f2933" if luminance > 0.6 else "#ffffff"
+
+
+def placeholder_svg(name, group=None, variation=0, controls=None, size=(1024, 1024)):
+    """
+    The placeholder_svg function creates a placeholder icon.
+    The color is hashed from the name, the shape from the group, so siblings share a shape.
+
+    :param name: str - The name shown as initials.
+    :param group: str - The group the shape is picked by, e.g. the parent tag. Defaults to the name.
+    :param variation: int - The index of the variation, which shifts the color.
+    :param controls: dict - Recraft color controls. Their colors replace the hashed color.
+    :param size: tuple - The width and height of the icon.
+    :return: str - The SVG
+    """
+    controls = controls or {}
+    palette = controls.get("colors") or []
+    if palette:
+        fill = rgb_hex(palette[(name_hash(name) + variation) % len(palette)])
+    else:
+        fill = hex_color(name_hash(name) % 360 + variation * 47, 0.55, 0.45)
+    shape = shapes[name_hash(group or name) % len(shapes)].format(fill=fill)
+    glyph = initials(name)
+    font_size = 44 if len(glyph) > 1 else 56
+    background = ""
+    if controls.get("background_color"):
+        background = f'<rect width="100" height="100" fill="{rgb_hex(controls["background_color"])}"/>'
+    width, height = size
+    return (
+        f'<svg xmlns="http://www.w3.org/2000/svg" width="{width}" height="{height}" viewBox="0 0 100 100">'
+        f"{background}{shape}"
+        f'<text x="50" y="50" dy="0.35em" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" '
+        f'font-weight="bold" font-size="{font_size}" fill="{text_color(fill)}">{escape(glyph)}</text>'
+        "</svg>"
+    )
+
+
+def placeholder_icons(name, group=None, count=1, controls=None, size=(1024, 1024)):
+    """
+    The placeholder_icons function creates placeholder icon candidates as data URLs.
+
+    :param name: str - The name shown as initials.
+    :param group: str - The group the shape is picked by.
+    :param count: int - The number of candidates.
+    :param controls: dict - Recraft color controls.
+    :param size: tuple - The width and height of the icons.
+    :return: list - The icons, as SVG data URLs
+    """
+    icons = []
+    for variation in range(max(1, count)):
+        svg = placeholder_svg(name, group, variation, controls, size)
+        icons.append("data:image/svg+xml;base64," + base64.b64encode(svg.encode("utf-8")).decode("ascii"))
+    return icons
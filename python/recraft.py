@@ -4,10 +4,19 @@ This script is designed to be run as a plugin task in Stash.
 It will generate icons for the Recast plugin based on the provided configuration.
 """
 
+import base64
+import calendar
+import hashlib
 import json
 import os
+import re
+import shutil
 import sys
+import time
+import uuid
+import urllib.parse
 import requests
+from placeholder import placeholder_icons
 
 os.chdir(os.path.dirname(os.path.realpath(__file__)))
 
@@ -21,6 +30,54 @@ except ModuleNotFoundError:
     )
 
 pluginhumanname = "stash-plugin-recraft-icons"
+max_icon_count = 6
+max_style_images = 5
+default_reference_strength = 0.5
+default_model = "recraftv2"
+default_provider = "recraft"
+providers = ("recraft", "placeholder", "automatic1111", "comfyui", "openai")
+paid_providers = ("recraft", "openai")
+default_backend_prompt_template = "flat vector icon of {prompt}, simple shapes, centered, plain background"
+backend_timeout = 300
+edit_operations = ("removeBackground", "vectorize", "crispUpscale", "creativeUpscale")
+data_dir = os.path.join(os.path.dirname(os.path.dirname(os.path.realpath(__file__))), "data")
+results_dir = os.path.join(data_dir, "results")
+result_max_age = 60 * 60
+images_dir = os.path.join(data_dir, "images")
+image_max_age = 7 * 24 * 60 * 60
+history_dir = os.path.join(data_dir, "history")
+history_max_entries = 50
+usage_path = os.path.join(data_dir, "usage.json")
+usage_max_entries = 10000
+cache_dir = os.path.join(data_dir, "cache")
+default_cache_max_age = 30
+default_cache_max_entries = 200
+cache_max_images = 12
+pending_dir = os.path.join(data_dir, "pending")
+rejected_tags_path = os.path.join(pending_dir, "rejected.json")
+default_prompt_template = "{name}"
+tag_fragment = "id name image_path description aliases parents { id name }"
+missing_icons_path = os.path.join(data_dir, "missing-icons.json")
+default_missing_icons_limit = 25
+image_extensions = {
+    "image/svg+xml": "svg",
+    "image/png": "png",
+    "image/webp": "webp",
+    "image/jpeg": "jpg",
+}
+# Progress values reported to the Stash job queue. The plugin UI maps them to
+# generation stages, so `progress_downloading` must match PROGRESS_DOWNLOADING.
+progress_calling = 0.2
+progress_downloading = 0.8
+# The part of the job progress the current step reports to, as [start, end]. Batch
+# tasks narrow it per tag, so the progress of each generation fills its own slice.
+progress_range = [0, 1]
+
+
+class RecraftError(Exception):
+    """
+    Raised when an icon cannot be generated.
+    """
 
 
 def stash_log(*args, **kwargs):
@@ -62,6 +119,7 @@ def stash_log(*args, **kwargs):
     elif lvl == "progress":
         try:
             progress = min(max(0, float(args[0])), 1)
+            progress = progress_range[0] + (progress_range[1] - progress_range[0]) * progress
             log.progress(str(progress))
         except:
             pass
@@ -123,16 +181,821 @@ def get_plugin_settings():
         return {}
 
 
-import requests
+def write_json(path, data):
+    """
+    The write_json function writes a JSON file atomically, so the plugin UI never reads a partial file.
+
+    :param path: str - The path of the file.
+    :param data: object - The data to write.
+    :return: None
+    """
+    os.makedirs(os.path.dirname(path), exist_ok=True)
+    temp_path = f"{path}.tmp"
+    with open(temp_path, "w", encoding="utf-8") as f:
+        json.dump(data, f)
+    os.replace(temp_path, path)
+
+
+def read_json(path, default=None):
+    """
+    The read_json function reads a JSON file, returning default if it is missing or invalid.
+
+    :param path: str - The path of the file.
+    :param default: object - The value to return if the file can't be read.
+    :return: The parsed data
+    """
+    try:
+        with open(path, "r", encoding="utf-8") as f:
+            return json.load(f)
+    except (OSError, ValueError):
+        return default
+
+
+def write_result(request_id, result):
+    """
+    The write_result function stores the result of a request in the plugin data directory,
+    where the plugin UI reads it back using the same request ID.
+
+    :param request_id: str - The ID of the request.
+    :param result: dict - The result to store.
+    :return: None
+    """
+    if not request_id:
+        return
+    if not re.match(r"^[A-Za-z0-9-]+$", request_id):
+        stash_log(f"Invalid request ID: {request_id}", lvl="warn")
+        return
+    write_json(os.path.join(results_dir, f"{request_id}.json"), {"requestId": request_id, **result})
+
+
+def purge_files(directory, max_age):
+    """
+    The purge_files function removes the files in a data directory older than max_age seconds.
+
+    :param directory: str - The directory to purge.
+    :param max_age: int - The maximum age of a file in seconds.
+    :return: None
+    """
+    if not os.path.isdir(directory):
+        return
+    cutoff = time.time() - max_age
+    for entry in os.scandir(directory):
+        try:
+            if entry.is_file() and entry.stat().st_mtime < cutoff:
+                os.remove(entry.path)
+        except OSError as e:
+            stash_log(f"Error removing {entry.name}: {e}", lvl="warn")
+
+
+def download_images(image_urls, request_id=None):
+    """
+    The download_images function stores generated images in the plugin data directory,
+    so previews and saves keep working once the Recraft URLs expire.
+
+    :param image_urls: list - The URLs or data URLs of the generated images.
+    :param request_id: str - The ID of the request, used to name the files.
+    :return: list - Dicts with the remote `url` and the `path` of the local copy relative
+        to the data directory, or None if the download failed.
+    """
+    os.makedirs(images_dir, exist_ok=True)
+    name = request_id if request_id and re.match(r"^[A-Za-z0-9-]+$", request_id) else uuid.uuid4().hex
+    images = []
+    for index, image_url in enumerate(image_urls):
+        path = None
+        try:
+            if image_url.startswith("data:"):
+                content, extension = read_image_source(image_url)
+            else:
+                response = requests.get(image_url, timeout=60)
+                response.raise_for_status()
+                content = response.content
+                content_type = response.headers.get("Content-Type", "").split(";")[0].strip()
+                extension = image_extensions.get(content_type)
+                if extension is None:
+                    extension = os.path.splitext(image_url.split("?")[0])[1].lstrip(".").lower()
+                    if extension not in image_extensions.values():
+                        extension = "png"
+            filename = f"{name}-{index}.{extension}"
+            with open(os.path.join(images_dir, filename), "wb") as f:
+                f.write(content)
+            path = f"images/{filename}"
+        except (requests.RequestException, ValueError, OSError) as e:
+            stash_log(f"Error downloading image {image_url[:100]}: {e}", lvl="warn")
+        images.append({"url": image_url, "path": path})
+        stash_log(
+            progress_downloading + (1 - progress_downloading) * (index + 1) / len(image_urls),
+            lvl="progress",
+        )
+    return images
+
+
+def read_image_source(source):
+    """
+    The read_image_source function reads an image given as a data URL or an http(s) URL.
+
+    :param source: str - The data URL or URL of the image.
+    :return: tuple - The image content and its file extension
+    :raises ValueError: If the source can't be read.
+    """
+    if source.startswith("data:"):
+        header, _, encoded = source.partition(",")
+        content_type = header[5:].split(";")[0]
+        if ";base64" in header:
+            content = base64.b64decode(encoded)
+        else:
+            content = urllib.parse.unquote_to_bytes(encoded)
+    elif source.startswith("http://") or source.startswith("https://"):
+        try:
+            response = requests.get(source, timeout=60)
+            response.raise_for_status()
+        except requests.RequestException as e:
+            raise ValueError(f"Error downloading image: {e}") from e
+        content_type = response.headers.get("Content-Type", "").split(";")[0].strip()
+        content = response.content
+    else:
+        raise ValueError("Unsupported image source")
+    return content, image_extensions.get(content_type, "png")
+
+
+def archive_images(history_key, replaced=None, saved=None, metadata=None):
+    """
+    The archive_images function adds images to the image history of an entity.
+    The history lives in data/history/<history key>/, with an index.json listing the entries newest first.
+    The key is the ID for tags and <type>-<id> for studios, performers and groups.
+    Entries beyond history_max_entries are removed together with their files.
+
+    :param history_key: str - The history key of the entity.
+    :param replaced: str - The image the plugin replaced, as a data URL or URL.
+    :param saved: str - The generated image the plugin saved, as a data URL or URL.
+    :param metadata: dict - The prompt and style of the saved image.
+    :return: list - The history entries
+    :raises ValueError: If the history key is invalid.
+    """
+    if not re.match(r"^(?:[a-z]+-)?\d+$", f"{history_key}"):
+        raise ValueError(f"Invalid history key: {history_key}")
+    entity_dir = os.path.join(history_dir, f"{history_key}")
+    os.makedirs(entity_dir, exist_ok=True)
+    index_path = os.path.join(entity_dir, "index.json")
+    entries = read_json(index_path, [])
+
+    # The replaced image is older than the saved one, so it is added first
+    for kind, source in (("replaced", replaced), ("saved", saved)):
+        if not source:
+            continue
+        try:
+            content, extension = read_image_source(source)
+        except ValueError as e:
+            stash_log(f"Error archiving {kind} image for {history_key}: {e}", lvl="warn")
+            continue
+        entry_id = f"{int(time.time() * 1000)}-{uuid.uuid4().hex[:8]}"
+        filename = f"{entry_id}.{extension}"
+        with open(os.path.join(entity_dir, filename), "wb") as f:
+            f.write(content)
+        entry = {
+            "id": entry_id,
+            "path": f"history/{history_key}/{filename}",
+            "kind": kind,
+            "createdAt": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime()),
+        }
+        if kind == "saved" and metadata:
+            entry.update(metadata)
+        entries.insert(0, entry)
+
+    for entry in entries[history_max_entries:]:
+        try:
+            os.remove(os.path.join(data_dir, entry["path"]))
+        except OSError:
+            pass
+    entries = entries[:history_max_entries]
+    write_json(index_path, entries)
+    return entries
+
+
+def record_usage(params, count, prompt=None, subject=None, operation="generate", provider=None):
+    """
+    The record_usage function adds a generation to the usage log in data/usage.json, newest first.
+    The plugin UI counts the images of the paid providers against the monthly budget.
+
+    :param params: dict - The plugin settings the images were generated with.
+    :param count: int - The number of images generated.
+    :param prompt: str - The prompt.
+    :param subject: str - The name of the tag or other entity.
+    :param operation: str - "generate", or the edit operation.
+    :param provider: str - The provider, if not the configured one.
+    :return: None
+    """
+    provider = provider or params.get("recraftIconProvider") or default_provider
+    entry = {
+        "createdAt": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime()),
+        "provider": provider,
+        "operation": operation,
+        "count": count,
+    }
+    if provider == "recraft":
+        entry["model"] = params.get("recraftTagIconModel") or default_model
+    elif params.get("recraftBackendModel"):
+        entry["model"] = params["recraftBackendModel"]
+    if subject:
+        entry["tag"] = subject
+    if prompt:
+        entry["prompt"] = prompt
+    try:
+        entries = read_json(usage_path, [])
+        entries.insert(0, entry)
+        write_json(usage_path, entries[:usage_max_entries])
+    except OSError as e:
+        stash_log(f"Error recording usage: {e}", lvl="warn")
+
+
+def parse_setting_int(value, default):
+    """
+    The parse_setting_int function parses a number setting.
+
+    :param value: str - The setting.
+    :param default: int - The value if the setting is empty or invalid.
+    :return: int - The number, at least 0
+    """
+    try:
+        return max(0, int(f"{value}".strip()))
+    except (TypeError, ValueError):
+        return default
+
+
+def cache_images(params, cache_key, images, prompt=None):
+    """
+    The cache_images function adds generated images to the result cache.
+    The cache lives in data/cache/, with an index.json listing an entry per key, most recently
+    updated first. The plugin UI builds the key from the prompt and options, and offers the
+    cached images before generating again. Images of the same key accumulate, up to
+    cache_max_images. Entries older than the maximum age or beyond the maximum number of
+    entries are removed together with their files.
+
+    :param params: dict - The plugin settings, with the cache limits.
+    :param cache_key: str - The key of the prompt and options.
+    :param images: list - The downloaded images, as returned by download_images.
+    :param prompt: str - The prompt, kept for reference.
+    :return: None
+    """
+    max_age = parse_setting_int(params.get("recraftCacheMaxAge"), default_cache_max_age)
+    max_entries = parse_setting_int(params.get("recraftCacheMaxEntries"), default_cache_max_entries)
+    if not cache_key or max_age == 0 or max_entries == 0:
+        return
+    index_path = os.path.join(cache_dir, "index.json")
+    entries = read_json(index_path, [])
+
+    entry = next((e for e in entries if e.get("key") == cache_key), None)
+    if entry:
+        entries.remove(entry)
+    else:
+        entry = {"key": cache_key, "images": []}
+    stem = hashlib.sha1(cache_key.encode("utf-8")).hexdigest()[:16]
+    cached = []
+    for image in images:
+        if not image.get("path"):
+            continue
+        filename = f"{stem}-{uuid.uuid4().hex[:8]}{os.path.splitext(image['path'])[1]}"
+        try:
+            os.makedirs(cache_dir, exist_ok=True)
+            shutil.copyfile(os.path.join(data_dir, image["path"]), os.path.join(cache_dir, filename))
+        except OSError as e:
+            stash_log(f"Error caching image {image['path']}: {e}", lvl="warn")
+            continue
+        cached.append({"path": f"cache/{filename}"})
+    if not cached:
+        return
+    entry["images"] = cached + entry["images"]
+    entry["updatedAt"] = time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime())
+    if prompt:
+        entry["prompt"] = prompt
+    removed = entry["images"][cache_max_images:]
+    entry["images"] = entry["images"][:cache_max_images]
+    entries.insert(0, entry)
+
+    oldest = time.time() - max_age * 24 * 60 * 60
+    kept = []
+    for index, item in enumerate(entries):
+        try:
+            updated = calendar.timegm(time.strptime(item.get("updatedAt", ""), "%Y-%m-%dT%H:%M:%SZ"))
+        except ValueError:
+            updated = 0
+        if index < max_entries and updated >= oldest:
+            kept.append(item)
+        else:
+            removed.extend(item.get("images", []))
+    for image in removed:
+        try:
+            os.remove(os.path.join(data_dir, image["path"]))
+        except OSError:
+            pass
+    write_json(index_path, kept)
+
+
+def count_monthly_images():
+    """
+    The count_monthly_images function counts the images the paid providers generated in the current month.
+
+    :return: int - The number of images
+    """
+    month = time.strftime("%Y-%m", time.gmtime())
+    return sum(
+        int(entry.get("count") or 0)
+        for entry in read_json(usage_path, [])
+        if entry.get("provider") in paid_providers and f"{entry.get('createdAt', '')}".startswith(month)
+    )
 
 
-def fetch_tag_icon(params, tag_name, use_light_colors=False, abstract_style=False):
+def within_budget(params, count):
     """
-    Fetches the tag icon from the Recraft API and returns the image URL.
+    The within_budget function checks a generation against the monthly image budget.
+    Tasks that run without the plugin UI can't ask, so they stay within the budget in either budget mode.
+
+    :param params: dict - The plugin settings.
+    :param count: int - The number of images the generation makes.
+    :return: bool - True if the generation may run
+    """
+    if (params.get("recraftIconProvider") or default_provider) not in paid_providers:
+        return True
+    budget = f"{params.get('recraftMonthlyBudget') or ''}".strip()
+    if not budget.isdigit():
+        return True
+    return count_monthly_images() + count <= int(budget)
+
+
+def fetch_credits(params):
+    """
+    The fetch_credits function reads the remaining credits of the Recraft account.
+
+    :param params: dict - The plugin settings.
+    :return: int - The remaining credits
+    :raises RecraftError: If the account can't be read.
+    """
+    url = f"{get_api_base_url(params.get('recraftApiUrl'))}/users/me"
+    headers = {"Authorization": f"Bearer {params.get('recraftApiKey')}"}
+    try:
+        response = requests.get(url, headers=headers, timeout=60)
+        response.raise_for_status()
+        return response.json()["credits"]
+    except requests.RequestException as e:
+        stash_log(f"Error reading the Recraft account: {e}", lvl="error")
+        raise RecraftError(f"Error reading the Recraft account: {e}") from e
+    except (KeyError, ValueError) as e:
+        raise RecraftError("No credits in the Recraft account response") from e
+
+
+def render_prompt_template(template, entity):
+    """
+    The render_prompt_template function renders a prompt template for a tag, like the plugin UI does.
+    Placeholders without a value are removed together with the brackets and separators around them.
+
+    :param template: str - The template, with {name}, {parents}, {aliases} and {description} placeholders.
+    :param entity: dict - The tag, with its parents.
+    :return: str - The prompt
+    """
+    values = {
+        "name": entity.get("name") or "",
+        "parents": ", ".join(parent["name"] for parent in entity.get("parents") or []),
+        "aliases": ", ".join(entity.get("aliases") or []),
+        "description": (entity.get("description") or "").strip(),
+        "gender": (entity.get("gender") or "").lower().replace("_", " "),
+    }
+    prompt = re.sub(
+        r"\{(\w+)\}", lambda match: values.get(match.group(1), match.group(0)), template or default_prompt_template
+    )
+    prompt = re.sub(r"\(\s*\)|\[\s*\]", "", prompt)
+    prompt = re.sub(r"\s*([,;:])(\s*[,;:])+", r"\1", prompt)
+    prompt = re.sub(r"\s+([,;:])", r"\1", prompt)
+    prompt = re.sub(r"\s{2,}", " ", prompt)
+    return re.sub(r"^[\s,;:-]+|[\s,;:-]+$", "", prompt)
+
+
+def default_controls(params):
+    """
+    The default_controls function builds the color controls of the default palette.
+    The Stash theme palette is read from the browser, so it is skipped here.
+
+    :param params: dict - The plugin settings.
+    :return: dict - The controls, or None without a default palette
+    """
+    try:
+        palettes = json.loads(params.get("recraftColorPalettes") or "[]")
+    except ValueError:
+        return None
+    palette = next(
+        (
+            item
+            for item in palettes
+            if isinstance(item, dict) and item.get("name") and item.get("name") == params.get("recraftTagIconPalette")
+        ),
+        None,
+    )
+    if not palette:
+        return None
+    return color_controls(",".join(palette.get("colors") or []), palette.get("background"))
+
+
+def is_default_image(image_path):
+    """
+    The is_default_image function checks whether an image path is the placeholder Stash shows without an image.
+
+    :param image_path: str - The image path.
+    :return: bool - True if there is no image
+    """
+    return not image_path or re.search(r"[?&]default=true", image_path) is not None
+
+
+def image_data_url(path):
+    """
+    The image_data_url function reads an image of the data directory as a data URL.
+
+    :param path: str - The path relative to the data directory.
+    :return: str - The data URL
+    """
+    content_types = {extension: content_type for content_type, extension in image_extensions.items()}
+    extension = os.path.splitext(path)[1].lstrip(".").lower()
+    with open(os.path.join(data_dir, path), "rb") as f:
+        content = f.read()
+    return f"data:{content_types.get(extension, 'image/png')};base64,{base64.b64encode(content).decode('ascii')}"
+
+
+def stage_icon(entity_type, entity, prompt, images, source):
+    """
+    The stage_icon function adds generated icons to the pending icons, to be reviewed in the plugin UI.
+    The pending icons live in data/pending/, with an index.json listing the entries newest first.
+    An entity has at most one entry, so a new generation replaces the icons staged before.
+
+    :param entity_type: str - The type of the entity, e.g. "tag".
+    :param entity: dict - The entity, with its id and name.
+    :param prompt: str - The prompt the icons were generated from.
+    :param images: list - The downloaded images, as returned by download_images.
+    :param source: str - What generated the icons, e.g. "hook".
+    :return: dict - The entry, or None if no image could be staged
+    """
+    index_path = os.path.join(pending_dir, "index.json")
+    entries = read_json(index_path, [])
+    entry_id = f"{int(time.time() * 1000)}-{uuid.uuid4().hex[:8]}"
+    staged = []
+    for index, image in enumerate(images):
+        if not image.get("path"):
+            continue
+        filename = f"{entry_id}-{index}{os.path.splitext(image['path'])[1]}"
+        try:
+            os.makedirs(pending_dir, exist_ok=True)
+            shutil.copyfile(os.path.join(data_dir, image["path"]), os.path.join(pending_dir, filename))
+        except OSError as e:
+            stash_log(f"Error staging image {image['path']}: {e}", lvl="warn")
+            continue
+        staged.append({"path": f"pending/{filename}"})
+    if not staged:
+        return None
+
+    replaced = [
+        item for item in entries if item.get("entityType") == entity_type and item.get("entityId") == f"{entity['id']}"
+    ]
+    remove_pending_images(replaced)
+    entry = {
+        "id": entry_id,
+        "entityType": entity_type,
+        "entityId": f"{entity['id']}",
+        "entityName": entity.get("name") or "",
+        "prompt": prompt,
+        "images": staged,
+        "source": source,
+        "createdAt": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime()),
+    }
+    entries = [entry] + [item for item in entries if item not in replaced]
+    write_json(index_path, entries)
+    return entry
+
+
+def is_data_path(path):
+    """
+    The is_data_path function checks that a path sent by the plugin UI stays inside the data directory.
+
+    :param path: str - The path relative to the data directory.
+    :return: bool - True if the path is safe to read
+    """
+    normalized = os.path.normpath(path)
+    return not os.path.isabs(normalized) and not normalized.startswith("..")
+
+
+def remove_pending_images(entries):
+    """
+    The remove_pending_images function removes the files of pending icon entries.
+
+    :param entries: list - The entries.
+    :return: None
+    """
+    for entry in entries:
+        for image in entry.get("images", []):
+            try:
+                os.remove(os.path.join(data_dir, image["path"]))
+            except OSError:
+                pass
+
+
+def dismiss_pending(pending_ids):
+    """
+    The dismiss_pending function removes pending icons once they are applied or rejected.
+
+    :param pending_ids: list - The IDs of the entries.
+    :return: list - The remaining entries
+    """
+    index_path = os.path.join(pending_dir, "index.json")
+    entries = read_json(index_path, [])
+    dismissed = [entry for entry in entries if entry.get("id") in pending_ids]
+    record_rejected_tags(dismissed)
+    remove_pending_images(dismissed)
+    entries = [entry for entry in entries if entry not in dismissed]
+    write_json(index_path, entries)
+    return entries
+
+
+def record_rejected_tags(entries):
+    """
+    The record_rejected_tags function remembers the tags whose pending icon was dismissed without saving one.
+    Approved icons are saved before they are dismissed, so a tag still without an image was rejected.
+    Auto icons skip these tags, so editing them later doesn't generate a rejected icon again.
+
+    :param entries: list - The dismissed pending entries.
+    :return: None
+    """
+    rejected = set(read_json(rejected_tags_path, []))
+    for entry in entries:
+        if entry.get("entityType") != "tag":
+            continue
+        try:
+            tag = stash.find_tag(int(entry["entityId"]), fragment="id image_path")
+        except Exception as e:  # stashapi raises plain exceptions
+            stash_log(f"Error reading tag {entry.get('entityId')}: {e}", lvl="warn")
+            continue
+        if tag and is_default_image(tag.get("image_path")):
+            rejected.add(entry["entityId"])
+    write_json(rejected_tags_path, sorted(rejected))
+
+
+def apply_tag_icon(tag, image, prompt, params):
+    """
+    The apply_tag_icon function saves a generated icon as the image of a tag and archives it in the image history.
+    The icon is saved as generated, the icon format setting is applied by the plugin UI only.
+
+    :param tag: dict - The tag.
+    :param image: dict - The downloaded image, as returned by download_images.
+    :param prompt: str - The prompt the icon was generated from.
+    :param params: dict - The plugin settings.
+    :return: None
+    """
+    data_url = image_data_url(image["path"])
+    stash.update_tag({"id": tag["id"], "image": data_url})
+    metadata = {"prompt": prompt}
+    style = params.get("recraftTagIconStyleId") or params.get("recraftTagIconStyle")
+    if style:
+        metadata["style"] = style
+    if params.get("recraftTagIconSubStyle") and not params.get("recraftTagIconStyleId"):
+        metadata["subStyle"] = params["recraftTagIconSubStyle"]
+    try:
+        archive_images(tag["id"], saved=data_url, metadata=metadata)
+    except (ValueError, OSError) as e:
+        stash_log(f"Error archiving icon of {tag['name']}: {e}", lvl="warn")
+
+
+def pending_tag_ids():
+    """
+    The pending_tag_ids function reads the ids of the tags with an icon waiting for review.
+
+    :return: set - The tag ids
+    """
+    pending = read_json(os.path.join(pending_dir, "index.json"), [])
+    return {entry.get("entityId") for entry in pending if entry.get("entityType") == "tag"}
+
+
+def has_pending_icon(tag):
+    """
+    The has_pending_icon function checks whether a tag has an icon waiting for review.
+
+    :param tag: dict - The tag.
+    :return: bool - True if an icon is pending
+    """
+    return f"{tag['id']}" in pending_tag_ids()
+
+
+def generate_tag_icon(params, tag):
+    """
+    The generate_tag_icon function generates one icon for a tag from the settings, without the plugin UI.
+
+    :param params: dict - The plugin settings.
+    :param tag: dict - The tag, with its parents.
+    :return: tuple - The prompt and the downloaded images
+    :raises RecraftError: If the icon could not be generated or downloaded.
+    """
+    prompt = render_prompt_template(params.get("recraftTagIconPromptTemplate"), tag)
+    parents = tag.get("parents") or []
+    result = generate_icons(
+        params,
+        prompt,
+        default_controls(params),
+        count=1,
+        subject=tag["name"],
+        group=parents[0]["name"] if parents else None,
+    )
+    record_usage(params, len(result), prompt, tag["name"])
+    images = [image for image in download_images(result) if image["path"]]
+    if not images:
+        raise RecraftError(f"Error downloading the icon of {tag['name']}")
+    return prompt, images
+
+
+def auto_tag_icon(params, tag_id, hook_type, input_fields=None):
+    """
+    The auto_tag_icon function generates an icon for a tag created or updated without an image, if auto icons are on.
+    The tag must match the name and parent filters. The icon is either staged for review or applied directly.
+    Updates of the image alone are ignored, so undoing a save or restoring no image doesn't generate a new icon.
+    Tags whose auto icon was rejected in review are skipped.
+
+    :param params: dict - The plugin settings.
+    :param tag_id: str - The ID of the tag.
+    :param hook_type: str - The hook, Tag.Create.Post or Tag.Update.Post.
+    :param input_fields: list - The fields of the update input, from the hook context.
+    :return: str - What was done
+    :raises RecraftError: If the icon could not be generated.
+    """
+    if not params.get("recraftAutoIcon"):
+        return "Auto icons are off"
+    if hook_type == "Tag.Update.Post" and not set(input_fields or []) - {"id", "image"}:
+        return f"Only the image of tag {tag_id} changed"
+    if f"{tag_id}" in read_json(rejected_tags_path, []):
+        return f"The icon of tag {tag_id} was rejected before"
+    tag = stash.find_tag(int(tag_id), fragment=tag_fragment)
+    if not tag:
+        return f"Tag {tag_id} not found"
+    if not is_default_image(tag.get("image_path")):
+        return f"{tag['name']} has an image"
+    if has_pending_icon(tag):
+        return f"{tag['name']} has an icon waiting for review"
+
+    name_filter = f"{params.get('recraftAutoIconNameFilter') or ''}".strip()
+    if name_filter:
+        try:
+            if not re.search(name_filter, tag["name"], re.IGNORECASE):
+                return f"{tag['name']} doesn't match the name filter"
+        except re.error as e:
+            raise RecraftError(f"Invalid name filter: {e}") from e
+    parent_filter = {
+        name.strip().lower() for name in f"{params.get('recraftAutoIconParentFilter') or ''}".split(",") if name.strip()
+    }
+    if parent_filter and not any(parent["name"].lower() in parent_filter for parent in tag.get("parents") or []):
+        return f"{tag['name']} has no parent in the parent filter"
+    if not within_budget(params, 1):
+        return f"Skipped {tag['name']}, the monthly image budget is used up"
+
+    stash_log(f"Generating an icon for {tag['name']} on {hook_type}", lvl="info")
+    prompt, images = generate_tag_icon(params, tag)
+    if params.get("recraftAutoIconMode") == "apply":
+        apply_tag_icon(tag, images[0], prompt, params)
+        return f"Applied an icon to {tag['name']}"
+    stage_icon("tag", tag, prompt, images, "hook")
+    return f"Staged an icon for {tag['name']} for review"
+
+
+def generate_missing_icons(params, limit, retry_failed=False):
+    """
+    The generate_missing_icons function generates icons for the tags without an image.
+    The icons are staged for review, or saved right away if the bulk icon mode is apply.
+    The run state is kept in data/missing-icons.json after every tag, for the plugin UI to show.
+    Tags that got or wait for an icon are skipped, so a new run picks up where the last one stopped.
+    Tags that failed before are skipped unless retried, so they don't use up the limit of every run.
+    Tags whose icon was rejected in review are skipped, as they are for auto icons.
+
+    :param params: dict - The plugin settings.
+    :param limit: int - The most tags to process in this run, 0 for all.
+    :param retry_failed: bool - Whether to retry the tags that failed before.
+    :return: dict - The run state
+    """
+    previous = read_json(missing_icons_path, {})
+    failed = {} if retry_failed else {entry["id"]: entry for entry in previous.get("failed", [])}
+    tags = stash.find_tags(
+        f={"is_missing": "image"},
+        filter={"per_page": -1, "sort": "name", "direction": "ASC"},
+        fragment=tag_fragment,
+    )
+    skipped = pending_tag_ids() | set(read_json(rejected_tags_path, []))
+    todo = [tag for tag in tags if f"{tag['id']}" not in failed and f"{tag['id']}" not in skipped]
+    if limit > 0:
+        todo = todo[:limit]
+
+    state = {
+        "status": "running",
+        "startedAt": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime()),
+        "limit": limit,
+        "missing": len(tags),
+        "total": len(todo),
+        "processed": 0,
+        "applied": 0,
+        "staged": 0,
+        "current": None,
+        "failed": list(failed.values()),
+    }
+    write_json(missing_icons_path, state)
+    stash_log(f"Generating icons for {len(todo)} of {len(tags)} tags without an image", lvl="info")
+
+    try:
+        for index, tag in enumerate(todo):
+            if not within_budget(params, 1):
+                state["status"] = "budget"
+                stash_log("Stopping, the monthly image budget is used up", lvl="warn")
+                break
+            state["current"] = tag["name"]
+            write_json(missing_icons_path, state)
+            progress_range[:] = [index / len(todo), (index + 1) / len(todo)]
+            try:
+                prompt, images = generate_tag_icon(params, tag)
+                if params.get("recraftBulkIconMode") == "apply":
+                    apply_tag_icon(tag, images[0], prompt, params)
+                    state["applied"] += 1
+                    stash_log(f"Saved an icon for {tag['name']}", lvl="info")
+                else:
+                    stage_icon("tag", tag, prompt, images, "missing")
+                    state["staged"] += 1
+                    stash_log(f"Staged an icon for {tag['name']} for review", lvl="info")
+            except Exception as e:  # stashapi raises plain exceptions when an update is rejected
+                state["failed"].append({"id": f"{tag['id']}", "name": tag["name"], "error": str(e)})
+                stash_log(f"Error generating an icon for {tag['name']}: {e}", lvl="error")
+            state["processed"] = index + 1
+            write_json(missing_icons_path, state)
+            stash_log(1, lvl="progress")
+        else:
+            state["status"] = "finished"
+    except Exception as e:
+        state["error"] = str(e)
+        raise
+    finally:
+        # Always close the run, so the plugin UI doesn't show it as running forever
+        if state["status"] == "running":
+            state["status"] = "error"
+        progress_range[:] = [0, 1]
+        state["current"] = None
+        state["finishedAt"] = time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime())
+        write_json(missing_icons_path, state)
+    return state
+
+
+def format_size(size):
+    """
+    The format_size function turns an icon size setting into the size the Recraft API accepts.
+
+    :param size: str - The size, either as 1024 or as 1024x1024.
+    :return: str - The size as <width>x<height>
+    """
+    size = f"{size or 1024}".strip()
+    return size if "x" in size else f"{size}x{size}"
+
+
+def parse_color(value):
+    """
+    The parse_color function parses a hex color into the RGB form of the Recraft color controls.
+
+    :param value: str - The color, as #rrggbb or #rgb.
+    :return: dict - The color as {"rgb": [r, g, b]}, or None if it can't be parsed
+    """
+    match = re.match(r"^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$", f"{value or ''}".strip())
+    if not match:
+        return None
+    digits = match.group(1)
+    if len(digits) == 3:
+        digits = "".join(digit * 2 for digit in digits)
+    return {"rgb": [int(digits[i : i + 2], 16) for i in (0, 2, 4)]}
+
+
+def color_controls(colors=None, background_color=None):
+    """
+    The color_controls function builds the Recraft color controls from a palette.
+
+    :param colors: str - The palette colors, as comma separated hex colors.
+    :param background_color: str - The background color, as a hex color.
+    :return: dict - The controls, or None without any valid color
+    """
+    controls = {}
+    palette = [color for color in (parse_color(value) for value in f"{colors or ''}".split(",")) if color]
+    if palette:
+        controls["colors"] = palette
+    background = parse_color(background_color)
+    if background:
+        controls["background_color"] = background
+    return controls or None
+
+
+def fetch_tag_icon(params, tag_name, controls=None, abstract_style=False, count=1, reference=None, strength=None):
+    """
+    Fetches the tag icon candidates from the Recraft API and returns the image URLs.
+    With a reference image, the icon is generated image-to-image from it, e.g. from the icon of the parent tag.
 
     :param params: dict - API request parameters.
     :param tag_name: str - The name of the tag.
-    :return: str - Image URL
+    :param controls: dict - The Recraft color controls, as built by color_controls.
+    :param count: int - The number of candidates to generate.
+    :param reference: str - The reference image, as a data URL or URL.
+    :param strength: float - How far the icon may depart from the reference, from 0 to 1.
+    :return: list - Image URLs
+    :raises RecraftError: If no image was generated.
     """
     stash_log(f"Fetching icon for {tag_name}...", lvl="debug")
 
@@ -142,6 +1005,7 @@ def fetch_tag_icon(params, tag_name, use_light_colors=False, abstract_style=Fals
     recraft_tag_icon_style_id = params.get("recraftTagIconStyleId")
     recraft_tag_icon_style = params.get("recraftTagIconStyle")
     recraft_tag_icon_sub_style = params.get("recraftTagIconSubStyle")
+    recraft_tag_icon_model = params.get("recraftTagIconModel") or default_model
 
     headers = {
         "Authorization": f"Bearer {recraft_api_key}",
@@ -154,40 +1018,476 @@ def fetch_tag_icon(params, tag_name, use_light_colors=False, abstract_style=Fals
     if abstract_style:
         prompt += ", abstract style"
 
-    if use_light_colors:
-        prompt += ", in light colors"
-
     payload = {
-        "size": f"{recraft_tag_icon_size}x{recraft_tag_icon_size}",
+        "size": format_size(recraft_tag_icon_size),
         "prompt": prompt,
-        "model": "recraftv2",
+        "model": recraft_tag_icon_model,
+        "n": min(max(1, count), max_icon_count),
     }
 
+    if controls:
+        payload["controls"] = controls
+
     stash_log(f"Running Recraft API with payload: {payload}", lvl="debug")
 
     if recraft_tag_icon_style_id is not None and recraft_tag_icon_style_id != "":
-        payload["style"] = recraft_tag_icon_style_id
+        payload["style_id"] = recraft_tag_icon_style_id
     else:
         if recraft_tag_icon_style is not None and recraft_tag_icon_style != "":
             payload["style"] = recraft_tag_icon_style
         if recraft_tag_icon_sub_style is not None and recraft_tag_icon_sub_style != "":
             payload["sub_style"] = recraft_tag_icon_sub_style
 
+    stash_log(progress_calling, lvl="progress")
     try:
-        response = requests.post(recraft_api_url, headers=headers, json=payload)
+        if reference:
+            try:
+                content, extension = read_image_source(reference)
+            except ValueError as e:
+                raise RecraftError(f"Error reading reference image: {e}") from e
+            # Image-to-image keeps the size of the reference and takes a multipart form
+            del payload["size"]
+            del headers["Content-Type"]
+            payload["strength"] = reference_strength(strength)
+            if controls:
+                payload["controls"] = json.dumps(controls)
+            response = requests.post(
+                f"{get_api_base_url(recraft_api_url)}/images/imageToImage",
+                headers=headers,
+                data=payload,
+                files={"image": (f"reference.{extension}", content)},
+                timeout=backend_timeout,
+            )
+        else:
+            response = requests.post(recraft_api_url, headers=headers, json=payload, timeout=backend_timeout)
         response.raise_for_status()
     except requests.RequestException as e:
         stash_log(f"Error fetching image: {e}", lvl="error")
-        return None
+        raise RecraftError(f"Error fetching image: {e}") from e
 
-    data = response.json()
-    if data.get("data") and len(data["data"]) > 0:
-        image_url = data["data"][0]["url"]
-        stash_log(f"Got image URL for {tag_name}: {image_url}", lvl="info")
-        return image_url
+    stash_log(progress_downloading, lvl="progress")
+    try:
+        data = response.json()
+    except ValueError as e:
+        raise RecraftError(f"Invalid response from Recraft: {e}") from e
+    if isinstance(data, dict) and data.get("data"):
+        image_urls = [image["url"] for image in data["data"]]
+        stash_log(f"Got image URLs for {tag_name}: {image_urls}", lvl="info")
+        return image_urls
     else:
         stash_log(f"No image generated for: {tag_name}", data, lvl="error")
-        return None
+        raise RecraftError(f"No image generated for: {tag_name}")
+
+
+def generate_icons(
+    params,
+    tag_name,
+    controls=None,
+    abstract_style=False,
+    count=1,
+    reference=None,
+    strength=None,
+    subject=None,
+    group=None,
+):
+    """
+    The generate_icons function generates the icon candidates with the configured provider.
+    The placeholder provider draws the icons locally, so it needs no API key and ignores the
+    prompt, style and reference. The self-hosted and OpenAI-compatible backends get the prompt
+    wrapped in the backend prompt template, and ignore the Recraft style and color controls.
+
+    :param params: dict - The plugin settings.
+    :param tag_name: str - The prompt.
+    :param controls: dict - The Recraft color controls, as built by color_controls.
+    :param abstract_style: bool - Whether to use abstract style.
+    :param count: int - The number of candidates to generate.
+    :param reference: str - The reference image, as a data URL or URL.
+    :param strength: float - How far the icon may depart from the reference, from 0 to 1.
+    :param subject: str - The name of the entity, shown by placeholder icons. Defaults to the prompt.
+    :param group: str - The name placeholder icons pick their shape by, e.g. the parent tag.
+    :return: list - Image URLs
+    :raises RecraftError: If no image was generated.
+    """
+    provider = params.get("recraftIconProvider") or default_provider
+    if provider not in providers:
+        raise RecraftError(f"Unknown icon provider: {provider}")
+    if provider == "recraft":
+        return fetch_tag_icon(params, tag_name, controls, abstract_style, count, reference, strength)
+
+    count = min(max(1, count), max_icon_count)
+    size = tuple(int(value) for value in format_size(params.get("recraftTagIconSize")).split("x"))
+    stash_log(progress_calling, lvl="progress")
+    if provider == "placeholder":
+        return placeholder_icons(subject or tag_name, group, count, controls, size)
+
+    prompt = backend_prompt(params, tag_name, abstract_style)
+    stash_log(f"Running {provider} with prompt: {prompt}", lvl="debug")
+    try:
+        image_urls = backends[provider](params, prompt, count, size, reference, strength)
+    except requests.RequestException as e:
+        stash_log(f"Error fetching image: {e}", lvl="error")
+        raise RecraftError(f"Error fetching image: {e}") from e
+    except (KeyError, TypeError, ValueError) as e:
+        stash_log(f"Unexpected response from {provider}: {e}", lvl="error")
+        raise RecraftError(f"Unexpected response from {provider}: {e}") from e
+    stash_log(progress_downloading, lvl="progress")
+    if not image_urls:
+        stash_log(f"No image generated for: {tag_name}", lvl="error")
+        raise RecraftError(f"No image generated for: {tag_name}")
+    return image_urls
+
+
+def backend_prompt(params, tag_name, abstract_style=False):
+    """
+    The backend_prompt function wraps a prompt in the backend prompt template.
+    General purpose models need to be told to draw an icon, which Recraft gets from its icon style.
+
+    :param params: dict - The plugin settings.
+    :param tag_name: str - The prompt.
+    :param abstract_style: bool - Whether to use abstract style.
+    :return: str - The prompt sent to the backend
+    """
+    if abstract_style:
+        tag_name += ", abstract style"
+    template = params.get("recraftBackendPromptTemplate") or default_backend_prompt_template
+    if "{prompt}" not in template:
+        return f"{template}, {tag_name}"
+    return template.replace("{prompt}", tag_name)
+
+
+def get_backend_url(params):
+    """
+    The get_backend_url function returns the base URL of a self-hosted or OpenAI-compatible backend.
+
+    :param params: dict - The plugin settings.
+    :return: str - The URL without a trailing slash
+    :raises RecraftError: If no URL is set.
+    """
+    backend_url = (params.get("recraftBackendUrl") or "").strip().rstrip("/")
+    if not backend_url:
+        raise RecraftError("No backend URL set")
+    return backend_url
+
+
+def automatic1111_icons(params, prompt, count, size, reference=None, strength=None):
+    """
+    The automatic1111_icons function generates icons with the API of the Automatic1111 Stable Diffusion web UI.
+    With a reference image, the icons are generated image-to-image, with the strength as denoising strength.
+
+    :param params: dict - The plugin settings. The backend model is the checkpoint, if set.
+    :param prompt: str - The prompt.
+    :param count: int - The number of icons.
+    :param size: tuple - The width and height of the icons.
+    :param reference: str - The reference image, as a data URL or URL.
+    :param strength: float - How far the icons may depart from the reference, from 0 to 1.
+    :return: list - The icons, as PNG data URLs
+    """
+    width, height = size
+    payload = {
+        "prompt": prompt,
+        "negative_prompt": params.get("recraftBackendNegativePrompt") or "",
+        "width": width,
+        "height": height,
+        "batch_size": count,
+    }
+    if params.get("recraftBackendModel"):
+        payload["override_settings"] = {"sd_model_checkpoint": params["recraftBackendModel"]}
+    endpoint = "txt2img"
+    if reference:
+        try:
+            content, _ = read_image_source(reference)
+        except ValueError as e:
+            raise RecraftError(f"Error reading reference image: {e}") from e
+        payload["init_images"] = [base64.b64encode(content).decode("ascii")]
+        payload["denoising_strength"] = reference_strength(strength)
+        endpoint = "img2img"
+    response = requests.post(
+        f"{get_backend_url(params)}/sdapi/v1/{endpoint}",
+        json=payload,
+        timeout=backend_timeout,
+    )
+    response.raise_for_status()
+    return [f"data:image/png;base64,{image}" for image in response.json().get("images") or []]
+
+
+def comfyui_workflow(params, prompt, count, size):
+    """
+    The comfyui_workflow function builds the ComfyUI workflow for a generation.
+    A custom workflow is taken in the API format, with the placeholders %prompt%, %negative_prompt%,
+    %width%, %height%, %count%, %seed% and %model% filled in. Without one, a basic text-to-image
+    workflow runs the backend model as checkpoint.
+
+    :param params: dict - The plugin settings.
+    :param prompt: str - The prompt.
+    :param count: int - The number of icons.
+    :param size: tuple - The width and height of the icons.
+    :return: dict - The workflow
+    :raises RecraftError: If the workflow can't be built.
+    """
+    width, height = size
+    model = params.get("recraftBackendModel") or ""
+    values = {
+        "%prompt%": prompt,
+        "%negative_prompt%": params.get("recraftBackendNegativePrompt") or "",
+        "%width%": width,
+        "%height%": height,
+        "%count%": count,
+        "%seed%": uuid.uuid4().int % 2**32,
+        "%model%": model,
+    }
+    if params.get("recraftComfyWorkflow"):
+        try:
+            workflow = json.loads(params["recraftComfyWorkflow"])
+        except ValueError as e:
+            raise RecraftError(f"Invalid ComfyUI workflow: {e}") from e
+        return fill_workflow(workflow, values)
+    if not model:
+        raise RecraftError("Set the backend model to a ComfyUI checkpoint, or set a workflow")
+    return fill_workflow(
+        {
+            "3": {
+                "class_type": "KSampler",
+                "inputs": {
+                    "seed": "%seed%",
+                    "steps": 25,
+                    "cfg": 7,
+                    "sampler_name": "euler",
+                    "scheduler": "normal",
+                    "denoise": 1,
+                    "model": ["4", 0],
+                    "positive": ["6", 0],
+                    "negative": ["7", 0],
+                    "latent_image": ["5", 0],
+                },
+            },
+            "4": {"class_type": "CheckpointLoaderSimple", "inputs": {"ckpt_name": "%model%"}},
+            "5": {
+                "class_type": "EmptyLatentImage",
+                "inputs": {"width": "%width%", "height": "%height%", "batch_size": "%count%"},
+            },
+            "6": {"class_type": "CLIPTextEncode", "inputs": {"text": "%prompt%", "clip": ["4", 1]}},
+            "7": {"class_type": "CLIPTextEncode", "inputs": {"text": "%negative_prompt%", "clip": ["4", 1]}},
+            "8": {"class_type": "VAEDecode", "inputs": {"samples": ["3", 0], "vae": ["4", 2]}},
+            "9": {"class_type": "SaveImage", "inputs": {"filename_prefix": "recraft-icons", "images": ["8", 0]}},
+        },
+        values,
+    )
+
+
+def fill_workflow(node, values):
+    """
+    The fill_workflow function fills the placeholders in a ComfyUI workflow.
+    A value that is just a placeholder takes the type of the value, so %width% becomes a number.
+
+    :param node: any - The workflow, or a part of it.
+    :param values: dict - The values by placeholder.
+    :return: any - The filled in copy
+    """
+    if isinstance(node, dict):
+        return {key: fill_workflow(value, values) for key, value in node.items()}
+    if isinstance(node, list):
+        return [fill_workflow(value, values) for value in node]
+    if isinstance(node, str):
+        if node in values:
+            return values[node]
+        for placeholder, value in values.items():
+            node = node.replace(placeholder, f"{value}")
+    return node
+
+
+def comfyui_icons(params, prompt, count, size, reference=None, strength=None):
+    """
+    The comfyui_icons function queues a workflow on a ComfyUI server and waits for its images.
+
+    :param params: dict - The plugin settings.
+    :param prompt: str - The prompt.
+    :param count: int - The number of icons.
+    :param size: tuple - The width and height of the icons.
+    :param reference: str - Unused, ComfyUI workflows take no reference image.
+    :param strength: float - Unused.
+    :return: list - The URLs of the images on the ComfyUI server
+    :raises RecraftError: If the workflow doesn't finish in time.
+    """
+    base_url = get_backend_url(params)
+    response = requests.post(
+        f"{base_url}/prompt",
+        json={"prompt": comfyui_workflow(params, prompt, count, size), "client_id": uuid.uuid4().hex},
+        timeout=60,
+    )
+    response.raise_for_status()
+    prompt_id = response.json()["prompt_id"]
+
+    deadline = time.time() + backend_timeout
+    while True:
+        response = requests.get(f"{base_url}/history/{prompt_id}", timeout=60)
+        response.raise_for_status()
+        history = response.json()
+        if prompt_id in history:
+            break
+        if time.time() > deadline:
+            raise RecraftError("Timed out waiting for ComfyUI")
+        time.sleep(1)
+
+    image_urls = []
+    for output in history[prompt_id].get("outputs", {}).values():
+        for image in output.get("images", []):
+            if image.get("type", "output") == "output":
+                query = urllib.parse.urlencode(
+                    {"filename": image["filename"], "subfolder": image.get("subfolder", ""), "type": "output"}
+                )
+                image_urls.append(f"{base_url}/view?{query}")
+    return image_urls
+
+
+def openai_icons(params, prompt, count, size, reference=None, strength=None):
+    """
+    The openai_icons function generates icons with an OpenAI-compatible images API.
+
+    :param params: dict - The plugin settings. The backend model and API key are sent if set.
+    :param prompt: str - The prompt.
+    :param count: int - The number of icons.
+    :param size: tuple - The width and height of the icons.
+    :param reference: str - Unused.
+    :param strength: float - Unused.
+    :return: list - The image URLs, or PNG data URLs for base64 responses
+    """
+    headers = {}
+    if params.get("recraftBackendApiKey"):
+        headers["Authorization"] = f"Bearer {params['recraftBackendApiKey']}"
+    payload = {"prompt": prompt, "n": count, "size": "{}x{}".format(*size)}
+    if params.get("recraftBackendModel"):
+        payload["model"] = params["recraftBackendModel"]
+    response = requests.post(
+        f"{get_api_base_url(get_backend_url(params))}/images/generations",
+        headers=headers,
+        json=payload,
+        timeout=backend_timeout,
+    )
+    response.raise_for_status()
+    return [
+        image["url"] if image.get("url") else f"data:image/png;base64,{image['b64_json']}"
+        for image in response.json().get("data") or []
+        if image.get("url") or image.get("b64_json")
+    ]
+
+
+# The self-hosted and OpenAI-compatible backends, by provider
+backends = {
+    "automatic1111": automatic1111_icons,
+    "comfyui": comfyui_icons,
+    "openai": openai_icons,
+}
+
+
+def reference_strength(value):
+    """
+    The reference_strength function parses the image-to-image strength, clamped to the range Recraft accepts.
+
+    :param value: str - The strength, from 0 to 1.
+    :return: float - The strength, default_reference_strength if it can't be parsed
+    """
+    try:
+        return min(max(float(value), 0.0), 1.0)
+    except (TypeError, ValueError):
+        return default_reference_strength
+
+
+def edit_image(params, operation, image):
+    """
+    The edit_image function runs one of the Recraft image operations on an image.
+
+    :param params: dict - The plugin settings.
+    :param operation: str - The operation, one of edit_operations.
+    :param image: str - The image, as a data URL or URL.
+    :return: str - The URL of the edited image
+    :raises RecraftError: If the operation failed.
+    """
+    if operation not in edit_operations:
+        raise RecraftError(f"Unknown image operation: {operation}")
+    try:
+        content, extension = read_image_source(image or "")
+    except ValueError as e:
+        raise RecraftError(f"Error reading image: {e}") from e
+
+    url = f"{get_api_base_url(params.get('recraftApiUrl'))}/images/{operation}"
+    headers = {"Authorization": f"Bearer {params.get('recraftApiKey')}"}
+    stash_log(f"Running {operation}", lvl="info")
+    stash_log(progress_calling, lvl="progress")
+    try:
+        response = requests.post(url, headers=headers, files={"file": (f"image.{extension}", content)}, timeout=300)
+        response.raise_for_status()
+    except requests.RequestException as e:
+        stash_log(f"Error running {operation}: {e}", lvl="error")
+        raise RecraftError(f"Error running {operation}: {e}") from e
+
+    stash_log(progress_downloading, lvl="progress")
+    try:
+        data = response.json()
+    except ValueError as e:
+        raise RecraftError(f"Invalid response from Recraft: {e}") from e
+    result_url = (data.get("image") or {}).get("url") if isinstance(data, dict) else None
+    if not result_url:
+        raise RecraftError(f"No image returned by {operation}")
+    return result_url
+
+
+def get_api_base_url(api_url):
+    """
+    The get_api_base_url function derives the base URL of the Recraft API from the generation endpoint.
+
+    :param api_url: str - The URL of the generation endpoint, e.g. https://external.api.recraft.ai/v1/images/generations.
+    :return: str - The base URL, e.g. https://external.api.recraft.ai/v1
+    """
+    base_url = (api_url or "").rstrip("/")
+    for suffix in ("/images/generations", "/images"):
+        if base_url.endswith(suffix):
+            return base_url[: -len(suffix)]
+    return base_url
+
+
+def create_style(params, base_style, images):
+    """
+    The create_style function creates a custom Recraft style from reference images.
+
+    :param params: dict - The plugin settings.
+    :param base_style: str - The base style the custom style derives from, e.g. icon.
+    :param images: list - The reference images, as data URLs or URLs.
+    :return: str - The ID of the new style
+    :raises RecraftError: If the style could not be created.
+    """
+    if not images:
+        raise RecraftError("No reference images given")
+    if len(images) > max_style_images:
+        raise RecraftError(f"At most {max_style_images} reference images are allowed")
+
+    files = {}
+    for index, source in enumerate(images, start=1):
+        try:
+            content, extension = read_image_source(source)
+        except ValueError as e:
+            raise RecraftError(f"Error reading reference image {index}: {e}") from e
+        files[f"file{index}"] = (f"file{index}.{extension}", content)
+
+    url = f"{get_api_base_url(params.get('recraftApiUrl'))}/styles"
+    headers = {"Authorization": f"Bearer {params.get('recraftApiKey')}"}
+    stash_log(f"Creating {base_style} style from {len(files)} images", lvl="info")
+    stash_log(progress_calling, lvl="progress")
+    try:
+        response = requests.post(url, headers=headers, data={"style": base_style}, files=files, timeout=120)
+        response.raise_for_status()
+    except requests.RequestException as e:
+        stash_log(f"Error creating style: {e}", lvl="error")
+        raise RecraftError(f"Error creating style: {e}") from e
+
+    try:
+        data = response.json()
+    except ValueError as e:
+        raise RecraftError(f"Invalid response from Recraft: {e}") from e
+    style_id = data.get("id") if isinstance(data, dict) else None
+    if not style_id:
+        raise RecraftError("No style ID returned")
+    stash_log(f"Created style {style_id}", lvl="info")
+    return style_id
 
 
 def main():
@@ -215,30 +1515,208 @@ def main():
     if PLUGIN_ARGS:
         stash_log("--Starting " + pluginhumanname + " Plugin --", lvl="debug")
 
+        request_id = ARGS["requestId"] if "requestId" in ARGS else None
+        purge_files(results_dir, result_max_age)
+        purge_files(images_dir, image_max_age)
+
         if "recraftTagIcon" in PLUGIN_ARGS:
             stash_log("running recraftTagIcon", lvl="info")
-            if "tagName" in ARGS:
-                tagName = ARGS["tagName"]
-                if tagName is not None and tagName != "":
-                    settings = get_plugin_settings()
-                    if settings is None:
-                        stash_log("No plugin settings found", lvl="error")
-                        exit_plugin(msg="No plugin settings found")
-                    else:
-                        stash_log("Plugin settings found: ", ARGS, lvl="debug")
-                        light_colors = (
-                            ARGS["lightColors"] if "lightColors" in ARGS and ARGS["lightColors"] != "false" else False
-                        )
-                        abstract_style = (
-                            ARGS["abstractStyle"]
-                            if "abstractStyle" in ARGS and ARGS["abstractStyle"] != "false"
-                            else False
-                        )
-                        result = fetch_tag_icon(settings, tagName, light_colors, abstract_style)
-                        if result is not None:
-                            stash_log("recraftTagIcon =", {"url": result}, lvl="info")
-                            exit_plugin(msg="ok")
-            stash_log("recraftTagIcon =", {"url": None}, lvl="info")
+            tagName = ARGS["tagName"] if "tagName" in ARGS else None
+            if tagName is None or tagName == "":
+                write_result(request_id, {"error": "No tag name provided"})
+                exit_plugin(err="No tag name provided")
+            settings = get_plugin_settings()
+            if settings is None:
+                stash_log("No plugin settings found", lvl="error")
+                write_result(request_id, {"error": "No plugin settings found"})
+                exit_plugin(msg="No plugin settings found")
+            # Only the argument names, the values hold data URLs of reference images
+            stash_log(f"Plugin settings found, task arguments: {', '.join(sorted(ARGS))}", lvl="debug")
+            if "model" in ARGS and ARGS["model"]:
+                settings["recraftTagIconModel"] = ARGS["model"]
+            controls = color_controls(ARGS.get("colors"), ARGS.get("backgroundColor"))
+            abstract_style = (
+                ARGS["abstractStyle"] if "abstractStyle" in ARGS and ARGS["abstractStyle"] != "false" else False
+            )
+            try:
+                count = int(ARGS["count"]) if "count" in ARGS else 1
+            except (TypeError, ValueError):
+                count = 1
+            try:
+                result = generate_icons(
+                    settings,
+                    tagName,
+                    controls,
+                    abstract_style,
+                    count,
+                    ARGS["reference"] if "reference" in ARGS and ARGS["reference"] else None,
+                    ARGS["strength"] if "strength" in ARGS else None,
+                    ARGS.get("subject"),
+                    ARGS.get("group"),
+                )
+            except RecraftError as e:
+                write_result(request_id, {"error": str(e)})
+                exit_plugin(err=str(e))
+            record_usage(settings, len(result), tagName, ARGS.get("subject"))
+            images = download_images(result, request_id)
+            if ARGS.get("cacheKey"):
+                cache_images(settings, ARGS["cacheKey"], images, tagName)
+            write_result(request_id, {"url": result[0], "urls": result, "images": images})
+            stash_log(1, lvl="progress")
+            exit_plugin(msg="ok")
+
+        if "recraftTestConnection" in PLUGIN_ARGS:
+            stash_log("running recraftTestConnection", lvl="info")
+            # The settings come from the settings dialog and may not be saved yet.
+            # API keys are only passed when changed, the saved ones are used otherwise.
+            saved = get_plugin_settings() or {}
+            settings = {
+                "recraftIconProvider": ARGS.get("provider"),
+                "recraftApiKey": ARGS.get("apiKey") or saved.get("recraftApiKey"),
+                "recraftBackendUrl": ARGS.get("backendUrl"),
+                "recraftBackendApiKey": ARGS.get("backendApiKey") or saved.get("recraftBackendApiKey"),
+                "recraftBackendModel": ARGS.get("backendModel"),
+                "recraftBackendPromptTemplate": ARGS.get("backendPromptTemplate"),
+                "recraftBackendNegativePrompt": ARGS.get("backendNegativePrompt"),
+                "recraftComfyWorkflow": ARGS.get("comfyWorkflow"),
+                "recraftApiUrl": ARGS.get("apiUrl"),
+                "recraftTagIconModel": ARGS.get("model"),
+                "recraftTagIconSize": ARGS.get("size"),
+                "recraftTagIconStyle": ARGS.get("style"),
+                "recraftTagIconSubStyle": ARGS.get("subStyle"),
+                "recraftTagIconStyleId": ARGS.get("styleId"),
+            }
+            try:
+                result = generate_icons(settings, "a simple circle", count=1, subject="Test")
+            except RecraftError as e:
+                write_result(request_id, {"error": str(e)})
+                exit_plugin(err=str(e))
+            record_usage(settings, len(result), "a simple circle", operation="test")
+            images = download_images(result, request_id)
+            write_result(request_id, {"url": result[0], "images": images})
+            stash_log(1, lvl="progress")
+            exit_plugin(msg="ok")
+
+        if "recraftCreateStyle" in PLUGIN_ARGS:
+            stash_log("running recraftCreateStyle", lvl="info")
+            settings = get_plugin_settings()
+            if not settings:
+                write_result(request_id, {"error": "No plugin settings found"})
+                exit_plugin(msg="No plugin settings found")
+            try:
+                images = json.loads(ARGS["images"]) if "images" in ARGS and ARGS["images"] else []
+            except ValueError:
+                images = []
+            try:
+                style_id = create_style(settings, ARGS["style"] if "style" in ARGS else "", images)
+            except RecraftError as e:
+                write_result(request_id, {"error": str(e)})
+                exit_plugin(err=str(e))
+            write_result(request_id, {"id": style_id})
+            stash_log(1, lvl="progress")
+            exit_plugin(msg="ok")
+
+        if "recraftEditImage" in PLUGIN_ARGS:
+            stash_log("running recraftEditImage", lvl="info")
+            settings = get_plugin_settings()
+            if not settings:
+                write_result(request_id, {"error": "No plugin settings found"})
+                exit_plugin(msg="No plugin settings found")
+            try:
+                result = edit_image(
+                    settings,
+                    ARGS["operation"] if "operation" in ARGS else None,
+                    ARGS["image"] if "image" in ARGS else None,
+                )
+            except RecraftError as e:
+                write_result(request_id, {"error": str(e)})
+                exit_plugin(err=str(e))
+            record_usage(settings, 1, operation=ARGS["operation"], provider="recraft")
+            images = download_images([result], request_id)
+            write_result(request_id, {"url": result, "images": images})
+            stash_log(1, lvl="progress")
+            exit_plugin(msg="ok")
+
+        if "recraftAutoIcon" in PLUGIN_ARGS:
+            hook_context = ARGS.get("hookContext") or {}
+            settings = get_plugin_settings() or {}
+            try:
+                message = auto_tag_icon(
+                    settings, hook_context.get("id"), hook_context.get("type"), hook_context.get("inputFields")
+                )
+            except (RecraftError, TypeError, ValueError) as e:
+                stash_log(f"Error generating an auto icon: {e}", lvl="error")
+                exit_plugin(err=str(e))
+            stash_log(message, lvl="info")
+            exit_plugin(msg=message)
+
+        if "recraftMissingIcons" in PLUGIN_ARGS:
+            stash_log("running recraftMissingIcons", lvl="info")
+            settings = get_plugin_settings() or {}
+            limit = ARGS.get("limit")
+            if limit in (None, ""):
+                limit = settings.get("recraftMissingIconsLimit")
+            limit = parse_setting_int(limit, default_missing_icons_limit)
+            try:
+                state = generate_missing_icons(settings, limit, f"{ARGS.get('retryFailed')}".lower() == "true")
+            except Exception as e:  # stashapi raises plain exceptions
+                stash_log(f"Error generating missing icons: {e}", lvl="error")
+                exit_plugin(err=str(e))
+            message = (
+                f"Saved {state['applied']} icons, staged {state['staged']} for review, "
+                f"{len(state['failed'])} tags failed"
+            )
+            stash_log(message, lvl="info")
+            exit_plugin(msg=message)
+
+        if "recraftPendingIcon" in PLUGIN_ARGS:
+            stash_log("running recraftPendingIcon", lvl="info")
+            try:
+                if ARGS.get("action") == "stage":
+                    images = [{"path": path} for path in f"{ARGS.get('paths') or ''}".split(",") if path]
+                    for image in images:
+                        if not is_data_path(image["path"]):
+                            raise ValueError(f"Invalid image path: {image['path']}")
+                    entity = {"id": ARGS.get("entityId"), "name": ARGS.get("entityName")}
+                    entry = stage_icon(ARGS.get("entityType") or "tag", entity, ARGS.get("prompt"), images, "bulk")
+                    if not entry:
+                        raise ValueError(f"Error staging the icon of {entity['name']}")
+                    write_result(request_id, {"entry": entry})
+                    exit_plugin(msg="ok")
+                pending_ids = [value for value in f"{ARGS.get('pendingIds') or ''}".split(",") if value]
+                entries = dismiss_pending(pending_ids)
+            except (ValueError, OSError) as e:
+                write_result(request_id, {"error": str(e)})
+                exit_plugin(err=str(e))
+            write_result(request_id, {"entries": entries})
+            exit_plugin(msg="ok")
+
+        if "recraftAccount" in PLUGIN_ARGS:
+            stash_log("running recraftAccount", lvl="info")
+            settings = get_plugin_settings() or {}
+            try:
+                credits = fetch_credits(settings)
+            except RecraftError as e:
+                write_result(request_id, {"error": str(e)})
+                exit_plugin(err=str(e))
+            write_result(request_id, {"credits": credits})
+            exit_plugin(msg="ok")
+
+        if "recraftArchiveIcon" in PLUGIN_ARGS:
+            stash_log("running recraftArchiveIcon", lvl="info")
+            metadata = {key: ARGS[key] for key in ("prompt", "style", "subStyle") if key in ARGS and ARGS[key]}
+            try:
+                entries = archive_images(
+                    ARGS["historyKey"] if "historyKey" in ARGS else None,
+                    ARGS["replaced"] if "replaced" in ARGS else None,
+                    ARGS["saved"] if "saved" in ARGS else None,
+                    metadata,
+                )
+            except (ValueError, OSError) as e:
+                write_result(request_id, {"error": str(e)})
+                exit_plugin(err=str(e))
+            write_result(request_id, {"entries": entries})
+            exit_plugin(msg="ok")
 
     exit_plugin(msg="ok")
 